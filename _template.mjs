@@ -19,35 +19,88 @@ import {hnlLogger} from "./hnl.logger.mjs"; //an object
  */
 export const NAME = 'exampleModule';
 
+/**
+ * Optional list of modules this module depends on, using the same paths as in data-requires (e.g. '%assets%/hnl.x.mjs').
+ * These are loaded as well, and their init (if they have any requiring elements) is run before this module's init.
+ * @type {string[]}
+ */
+export const DEPENDS = [];
+
+/**
+ * Optional schema for the per-element options this module accepts. These are read from a 'data-requires-options'
+ * JSON attribute, or from data attributes prefixed with this module's NAME, e.g. data-example-module-log-hidden="true",
+ * validated, and then passed to init. See hnl.moduleoptions for all supported types.
+ * @type {object}
+ */
+export const OPTIONS = {
+  logHidden: { type: 'boolean', default: false },
+};
+
+/**
+ * Elements this module is currently working on. Kept module-wide, so they can be released again in 'destroy'.
+ * @type {Set<Element>}
+ */
+const trackedElements = new Set();
+
+/**
+ example function that takes all the tracked elements (those with 'data-requires' set for this module) and checks if
+ they are visible on each scroll/resize. This is useful for doing fancy things like fading-in/-up elements as soon as
+ they enter the user's view.
+ @uses isVisible
+ */
+function checkVisibility() {
+  trackedElements.forEach(function(element){
+    isVisible(element, function(visible) {
+      if (visible || element._exampleOptions.logHidden) {
+        hnlLogger.log(NAME, `${element} visible? ${(visible ? 'Yes' : 'No')}`);
+      }
+    })
+  })
+}
+
 /**
  * init
  * Exported function that is called (if present) when the module has been imported via the data-requires method,
  * as described in, and handled by, the hnl.dynamicimports module.
  * @param elements {object} Holds *all* DOM elements that had 'data-requires' specified for this module
+ * @param options {object[]} Holds the validated options for each element, in the same order as 'elements'
  * 'this' will be the module object context
  */
-export function init(elements){
+export function init(elements, options){
   /**
    * Do stuff here. You can safely assume the page is ready now, as the importing of dynamically loaded modules depends
    * on reading data-attributes, which can only be safely traversed and read then the page is ready,
    * as handled in the 'docReady' handler of the eventHandler module.
+   * Note that init can be called more than once, e.g. when requiring elements are added to the DOM later on, but
+   * never twice for the same element.
    */
+  elements.forEach((element, index) => {
+    element._exampleOptions = options[index];
+    trackedElements.add(element);
+  });
 
   /**
-   example function that takes all the elements (those with 'data-requires' set for this module) and checks if they
-   are visible on each scroll/resize. This is useful for doing fancy things like fading-in/-up elements as soon as
-   they enter the user's view.
+   bind the visibility check to each scroll/resize
    @uses docShift
-   @uses isVisible
    */
-  eventHandler.addListener('docShift', () => {
-    elements.forEach(function(element){
-      isVisible(element, function(visible) {
-        if (visible) {
-          hnlLogger.log(NAME, `${element} visible? ${(visible ? 'Yes' : 'No')}`);
-        }
-      })
-    })
-  });
+  eventHandler.addListener('docShift', checkVisibility);
+
+}
+
+/**
+ * destroy
+ * Exported function that is called (if present) when requiring elements are removed from the DOM (when the DOM is
+ * being observed), or unloaded via the 'unload' function of the hnl.dynamicimports module.
+ * Use it to undo whatever init did for these elements: remove listeners, stop timers and animation frames, remove
+ * injected nodes, etc. so nothing keeps running (or leaking) after the elements are gone.
+ * @param elements {object} Holds the DOM elements that are being torn down
+ * 'this' will be the module object context
+ */
+export function destroy(elements){
+  elements.forEach((element) => trackedElements.delete(element));
 
-}
\ No newline at end of file
+  //nothing left to watch, so stop listening
+  if (!trackedElements.size) {
+    eventHandler.removeListener('docShift', checkVisibility);
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * DOMule static analysis v1.0 (10-2026)
+ * (C) hnldesign 2026
+ *
+ * Shared by the DOMule CLI commands. Finds the modules templates require, resolves module paths (as used in
+ * 'data-requires' and DEPENDS) to files, using the same rules as rewritePath in hnl.dynamicimports, and statically
+ * analyzes modules: their exported NAME, init,
+ * destroy and DEPENDS, and their imports. Analysis is regex based (after stripping comments), so it only recognizes
+ * the usual ways of writing these, and doesn't execute any code.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+/**
+ * Removes comments from JavaScript source, leaving strings and template literals intact.
+ * @param {string} source - The source code
+ * @returns {string} - The source without comments (line breaks are kept, so line numbers stay the same)
+ */
+export function stripComments(source) {
+  let result = '';
+  let quote = null;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      result += char;
+      if (char === '\\') {
+        result += source[++i] || '';
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '/' && source[i + 1] === '/') {
+      while (i < source.length && source[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const comment = source.slice(i, end === -1 ? source.length : end + 2);
+      result += comment.replace(/[^\n]/g, '');
+      i += comment.length - 1;
+    } else if (char === '/' && /(^|[(,=:[!&|?{};])\s*$/.test(result.slice(-20))) {
+      //a regular expression literal, which may hold quotes (or slashes) of its own
+      let inClass = false;
+      result += char;
+      while (++i < source.length && source[i] !== '\n') {
+        result += source[i];
+        if (source[i] === '\\') {
+          result += source[++i] || '';
+        } else if (source[i] === '[' || source[i] === ']') {
+          inClass = source[i] === '[';
+        } else if (source[i] === '/' && !inClass) {
+          break;
+        }
+      }
+    } else {
+      if (char === '"' || char === "'" || char === '`') quote = char;
+      result += char;
+    }
+  }
+  return result;
+}
+
+/**
+ * Resolves a module path, as specified in 'data-requires' or DEPENDS, to a file. Follows rewritePath: '%alias%/'
+ * prefixes are replaced by the alias' directory, and other relative paths are resolved from the parent directory of
+ * the directory holding hnl.dynamicimports.mjs. Paths starting with '/' are resolved from the web root.
+ * @param {string} spec - The module path
+ * @param {object} config
+ * @param {object} config.aliases - Local directories, by alias name
+ * @param {string} config.modulesDir - The directory holding hnl.dynamicimports.mjs
+ * @param {string} config.root - The web root
+ * @returns {{file: string|null, reason: string|null}} - The file, or the reason it can't be resolved
+ */
+export function resolveModulePath(spec, {aliases, modulesDir, root}) {
+  const clean = spec.trim().split('?')[0];
+  const alias = /^%(.*?)%\//.exec(clean);
+  if (alias) {
+    if (!aliases[alias[1]]) {
+      return {file: null, reason: `unknown alias '%${alias[1]}%' (use --alias ${alias[1]}=<dir>)`};
+    }
+    return {file: path.resolve(aliases[alias[1]], clean.slice(alias[0].length)), reason: null};
+  }
+  if (/^[a-z][a-z\d+.-]*:/i.test(clean)) {
+    return {file: null, reason: 'remote URL, not checked'};
+  }
+  if (clean.startsWith('/')) {
+    return {file: path.join(root, clean), reason: null};
+  }
+  if (!clean.startsWith('.')) {
+    return {file: null, reason: 'bare specifier (resolved by an import map), not checked'};
+  }
+  return {file: path.resolve(path.dirname(modulesDir), clean), reason: null};
+}
+
+/**
+ * Gets the line number of a position in a string.
+ * @param {string} source - The string
+ * @param {number} index - The position
+ * @returns {number} - The (1-based) line number
+ */
+export function lineOf(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+/**
+ * Collects the string literals in a piece of source code, e.g. the contents of an array.
+ * @param {string} source - The source code
+ * @returns {string[]}
+ */
+function stringLiterals(source) {
+  return [...source.matchAll(/(["'`])((?:\\.|(?!\1).)*)\1/g)].map((match) => match[2]);
+}
+
+/**
+ * Checks whether a module exports a binding with the given name, in any of the usual ways
+ * ('export function name', 'export const name =', 'export {local as name}', ...).
+ * @param {string} source - The module's source, without comments
+ * @param {string} name - The exported name
+ * @returns {boolean}
+ */
+function exportsName(source, name) {
+  if (new RegExp(`export\\s+(?:async\\s+)?(?:function\\*?|class|const|let|var)\\s+${name}\\b`).test(source)) {
+    return true;
+  }
+  return [...source.matchAll(/export\s*\{([^}]*)\}/g)].some((match) => match[1].split(',')
+    .some((specifier) => specifier.trim().split(/\s+as\s+/).pop().trim() === name));
+}
+
+/**
+ * Statically analyzes a module file.
+ * @param {string} file - The module's file
+ * @returns {object} - The module's exported 'name' (or null), whether it exports 'init' and 'destroy', its DEPENDS
+ * ('depends', as specified) and its static and (literal) dynamic 'imports' ({spec, dynamic, line, file}, with 'file'
+ * resolved for relative imports)
+ */
+export function analyzeModule(file) {
+  const source = stripComments(fs.readFileSync(file, 'utf8'));
+  const name = /export\s+const\s+NAME\s*=\s*(["'`])(.*?)\1/.exec(source);
+  const depends = /export\s+const\s+DEPENDS\s*=\s*\[([^\]]*)\]/.exec(source);
+  const imports = [];
+  const patterns = [
+    /(?:^|[;\s])import\s*(?:[\w*{}\s,$]+?\s*from\s*)?(["'])(.*?)\1/g,
+    /(?:^|[;\s])export\s*(?:\*|\{[^}]*\})\s*(?:as\s+\w+\s*)?from\s*(["'])(.*?)\1/g,
+    /(?:^|[^\w.$])import\s*\(\s*(["'])(.*?)\1\s*\)/g,
+  ];
+  for (const pattern of patterns) {
+    for (const match of source.matchAll(pattern)) {
+      const spec = match[2];
+      imports.push({
+        spec,
+        dynamic: pattern === patterns[2],
+        line: lineOf(source, match.index + match[0].search(/import|export/)),
+        file: spec.startsWith('.') || spec.startsWith('/') ? path.resolve(path.dirname(file), spec.split('?')[0]) : null,
+      });
+    }
+  }
+  return {
+    name: name ? name[2] : null,
+    init: exportsName(source, 'init'),
+    destroy: exportsName(source, 'destroy'),
+    depends: depends ? stringLiterals(depends[1]) : [],
+    imports,
+  };
+}
+
+/**
+ * Recursively lists the files in a directory (or the file itself), skipping dependencies and hidden directories.
+ * @param {string} target - A directory or file
+ * @param {string[]} extensions - The extensions to list, e.g. ['.html', '.php']
+ * @returns {string[]} - The files
+ */
+export function listFiles(target, extensions) {
+  if (fs.statSync(target).isFile()) {
+    return [path.resolve(target)];
+  }
+  return fs.readdirSync(target, {recursive: true})
+    .filter((file) => !file.split(path.sep).some((part) => part === 'node_modules' || part === 'vendor' || part.startsWith('.')))
+    .filter((file) => extensions.includes(path.extname(file).toLowerCase()))
+    .map((file) => path.resolve(target, file));
+}
+
+/**
+ * Finds the module paths required by a template: in 'data-requires' attributes, and in the 'src' attributes of
+ * DOMule's custom element (<domule-module src="...">, see the customElement option of dynImports), and their fallbacks.
+ * @param {string} file - The template file
+ * @param {string} [element='domule-module'] - The custom element's tag name
+ * @returns {object[]} - The usages: the module path ('spec'), the template 'file', 'line', and whether it's a
+ * 'fallback' (from 'data-requires-fallback', or the custom element's 'fallback')
+ */
+export function templateUsages(file, element = 'domule-module') {
+  const source = fs.readFileSync(file, 'utf8');
+  const usages = [];
+  const add = (value, index, fallback) => {
+    const line = lineOf(source, index);
+    //fallbacks are listed per required module (comma-separated), and may hold several alternates ('|')
+    for (const spec of value.split(fallback ? /[,|]/ : ',').map((part) => part.trim()).filter(Boolean)) {
+      usages.push({spec, file, line, fallback});
+    }
+  };
+  for (const match of source.matchAll(/\sdata-requires(-fallback)?\s*=\s*(["'])([\s\S]*?)\2/g)) {
+    add(match[3], match.index, !!match[1]);
+  }
+  const tag = new RegExp(`<${element.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\s[^>]*)>`, 'gi');
+  for (const match of source.matchAll(tag)) {
+    //where the attributes start, after the tag name
+    const start = match.index + match[0].indexOf(match[1]);
+    for (const attribute of match[1].matchAll(/\s(src|fallback)\s*=\s*(["'])([\s\S]*?)\2/gi)) {
+      add(attribute[3], start + attribute.index, attribute[1].toLowerCase() === 'fallback');
+    }
+  }
+  return usages;
+}
+
+//command line options shared by the commands that scan templates (see projectConfig)
+export const projectOptions = {
+  alias: {type: 'string', multiple: true, default: []},
+  modules: {type: 'string', default: path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')},
+  root: {type: 'string', default: '.'},
+  element: {type: 'string', default: 'domule-module'},
+  entry: {type: 'string', multiple: true},
+  ext: {type: 'string', default: '.html,.htm,.php,.twig'},
+  help: {type: 'boolean', default: false},
+};
+
+/**
+ * Converts the shared command line options (see projectOptions) to a project configuration.
+ * @param {object} values - The parsed options
+ * @param {string[]} positionals - The template files or directories (defaults to the current directory)
+ * @returns {object} - The 'targets', 'aliases' (local directories, by alias name), 'modulesDir' (the directory holding
+ * hnl.dynamicimports.mjs), web 'root', 'entries' (scripts that are always loaded), the custom 'element' tag name and
+ * template 'extensions'
+ */
+export function projectConfig(values, positionals) {
+  const aliases = {};
+  for (const alias of values.alias) {
+    const [name, dir] = alias.split('=');
+    if (!name || !dir) {
+      throw new TypeError(`Invalid alias '${alias}', use --alias name=<dir>`);
+    }
+    aliases[name.replace(/^%|%$/g, '')] = path.resolve(dir);
+  }
+  const modulesDir = path.resolve(values.modules);
+  return {
+    targets: positionals.length ? positionals : ['.'],
+    aliases,
+    modulesDir,
+    root: path.resolve(values.root),
+    element: values.element,
+    entries: (values.entry || [path.join(modulesDir, 'hnl.dynamicimports.mjs')]).map((entry) => path.resolve(entry)),
+    extensions: values.ext.split(',').map((ext) => `.${ext.trim().replace(/^\./, '')}`.toLowerCase()),
+  };
+}
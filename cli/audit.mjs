@@ -0,0 +1,195 @@
+/**
+ * DOMule audit v1.0 (10-2026)
+ * (C) hnldesign 2026
+ *
+ * Audits templates (HTML, PHP, Twig, ...) against the available modules:
+ * -  Finds all 'data-requires' (and 'data-requires-fallback') attributes, and the 'src' (and 'fallback') attributes of
+ *    <domule-module> elements, and resolves their module paths using the same rules as the runtime (see
+ *    resolveModulePath in analyze.mjs).
+ * -  Reports missing module files, and missing files imported (or required via DEPENDS) by those modules.
+ * -  Checks required modules for an exported 'init' and 'NAME'.
+ * -  Reports modules that export the same NAME, and modules that are never used by any template (or entry script).
+ *
+ * Usage: node cli/domule.mjs audit [templates...] --alias assets=public/js/modules/ [--json]
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import {parseArgs} from 'node:util';
+import {analyzeModule, listFiles, projectConfig, projectOptions, resolveModulePath, templateUsages} from './analyze.mjs';
+
+export const NAME = 'audit';
+
+export const HELP = `Usage: domule audit [files or directories...] [options]
+
+Scans templates for data-requires attributes, and checks the modules they require.
+
+Options:
+  --alias <name>=<dir>   Local directory for a %name% path alias (repeatable)
+  --modules <dir>        Directory holding hnl.dynamicimports.mjs (default: the DOMule directory)
+  --root <dir>           Web root, for paths starting with '/' (default: current directory)
+  --entry <file>         Script that is always loaded, its imports are never unused (repeatable,
+                         default: hnl.dynamicimports.mjs)
+  --element <name>       Tag name of the custom element (default: domule-module)
+  --ext <list>           Template extensions (default: .html,.htm,.php,.twig)
+  --json                 Output the report as JSON
+  --strict               Exit with an error on warnings too`;
+
+//issue types, and their severity
+const severities = {
+  'missing-module': 'error',
+  'missing-import': 'error',
+  'missing-dependency': 'error',
+  'duplicate-name': 'error',
+  'missing-fallback': 'warning',
+  'unresolved': 'warning',
+  'no-init': 'warning',
+  'no-name': 'warning',
+  'unused-module': 'warning',
+};
+
+/**
+ * Audits templates against the available modules.
+ * @param {object} config
+ * @param {string[]} config.targets - Template files or directories
+ * @param {object} config.aliases - Local directories, by alias name
+ * @param {string} config.modulesDir - The directory holding hnl.dynamicimports.mjs
+ * @param {string} config.root - The web root
+ * @param {string[]} config.entries - Scripts that are always loaded
+ * @param {string[]} config.extensions - Template extensions
+ * @returns {object} - The report, holding the 'templates' that were scanned, the 'modules' that were found (by file)
+ * and the 'issues' ({type, severity, message, file, line})
+ */
+export function audit({targets, aliases, modulesDir, root, entries, element, extensions}) {
+  const templates = targets.flatMap((target) => listFiles(target, extensions));
+  const issues = [];
+  const modules = {};
+  const report = (type, message, file = null, line = null) => {
+    issues.push({type, severity: severities[type], message, file, line});
+  };
+  const module = (file) => {
+    modules[file] = modules[file] || {file, requiredBy: [], ...analyzeModule(file)};
+    return modules[file];
+  };
+
+  //modules required by templates
+  for (const usage of templates.flatMap((template) => templateUsages(template, element))) {
+    if (/\{\{|\{%|<\?|\$\{/.test(usage.spec)) {
+      report('unresolved', `${usage.spec}: dynamic value, not checked`, usage.file, usage.line);
+      continue;
+    }
+    const {file, reason} = resolveModulePath(usage.spec, {aliases, modulesDir, root});
+    if (!file) {
+      report('unresolved', `${usage.spec}: ${reason}`, usage.file, usage.line);
+    } else if (!fs.existsSync(file)) {
+      report(usage.fallback ? 'missing-fallback' : 'missing-module', `${usage.spec}: file not found (${file})`, usage.file, usage.line);
+    } else if (!usage.fallback) {
+      module(file).requiredBy.push({file: usage.file, line: usage.line});
+    }
+  }
+
+  //everything those modules (and the entry scripts) import, or depend on
+  const queue = [...Object.keys(modules), ...entries.filter((entry) => fs.existsSync(entry))];
+  const used = new Set(queue);
+  while (queue.length) {
+    const current = module(queue.shift());
+    const found = [];
+    for (const imported of current.imports) {
+      if (!imported.file) continue;
+      if (fs.existsSync(imported.file)) {
+        found.push(imported.file);
+      } else {
+        report('missing-import', `imports ${imported.spec}, which doesn't exist (${imported.file})`, current.file, imported.line);
+      }
+    }
+    for (const spec of current.depends) {
+      const {file, reason} = resolveModulePath(spec, {aliases, modulesDir, root});
+      if (!file) {
+        report('unresolved', `DEPENDS ${spec}: ${reason}`, current.file);
+      } else if (fs.existsSync(file)) {
+        found.push(file);
+      } else {
+        report('missing-dependency', `DEPENDS ${spec}, which doesn't exist (${file})`, current.file);
+      }
+    }
+    found.filter((file) => !used.has(file)).forEach((file) => {
+      used.add(file);
+      queue.push(file);
+    });
+  }
+
+  //required modules should be initializable, and identifiable
+  for (const required of Object.values(modules).filter((entry) => entry.requiredBy.length)) {
+    const [first] = required.requiredBy;
+    if (!required.init) {
+      report('no-init', `${path.basename(required.file)} doesn't export an init function, so it won't be initialized`, first.file, first.line);
+    }
+    if (!required.name) {
+      report('no-name', `${path.basename(required.file)} doesn't export a NAME`, required.file);
+    }
+  }
+
+  //all modules in the modules directory should be used, and names should be unique
+  const available = fs.existsSync(modulesDir) ? fs.readdirSync(modulesDir)
+    .filter((file) => path.extname(file) === '.mjs' && !file.startsWith('_'))
+    .map((file) => path.join(modulesDir, file)) : [];
+  available.filter((file) => !used.has(file)).forEach((file) => {
+    report('unused-module', `${path.basename(file)} isn't required by any template`, file);
+  });
+  const names = {};
+  for (const file of new Set([...used, ...available])) {
+    const {name} = module(file);
+    if (name) (names[name] = names[name] || []).push(file);
+  }
+  Object.entries(names).filter(([, files]) => files.length > 1).forEach(([name, files]) => {
+    report('duplicate-name', `NAME '${name}' is exported by ${files.map((file) => path.relative(process.cwd(), file)).join(', ')}`);
+  });
+
+  return {templates, modules, issues};
+}
+
+/**
+ * Formats an audit report for humans.
+ * @param {object} report - The report (see audit)
+ * @returns {string}
+ */
+export function formatAudit({templates, modules, issues}) {
+  const location = ({file, line}) => file ? `${path.relative(process.cwd(), file)}${line ? `:${line}` : ''}  ` : '';
+  const required = Object.values(modules).filter((module) => module.requiredBy.length);
+  const lines = [`DOMule audit: ${templates.length} template(s) scanned, ${required.length} module(s) required.`];
+  for (const severity of ['error', 'warning']) {
+    const found = issues.filter((issue) => issue.severity === severity);
+    if (found.length) {
+      lines.push('', `${found.length} ${severity}(s):`);
+      found.forEach((issue) => lines.push(`  ${severity === 'error' ? '✗' : '!'} ${location(issue)}${issue.message}`));
+    }
+  }
+  if (!issues.length) {
+    lines.push('', 'No issues found.');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Runs the audit command.
+ * @param {string[]} args - The command line arguments (after 'audit')
+ * @returns {number} - The exit code
+ */
+export function run(args) {
+  const {values, positionals} = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      ...projectOptions,
+      json: {type: 'boolean', default: false},
+      strict: {type: 'boolean', default: false},
+    },
+  });
+  if (values.help) {
+    console.log(HELP);
+    return 0;
+  }
+  const result = audit(projectConfig(values, positionals));
+  console.log(values.json ? JSON.stringify(result, null, 2) : formatAudit(result));
+  const failing = result.issues.filter((issue) => issue.severity === 'error' || values.strict);
+  return failing.length ? 1 : 0;
+}
@@ -0,0 +1,234 @@
+/**
+ * DOMule build v1.0 (10-2026)
+ * (C) hnldesign 2026
+ *
+ * Prepares modules for production:
+ * -  Finds all modules required by templates ('data-requires' and 'data-requires-fallback', or the 'src' and 'fallback'
+ *    of <domule-module> elements), the modules those depend on (DEPENDS), and the full static import graph of each
+ *    of them.
+ * -  Writes each module to the output directory under a hashed filename (e.g. 'hnl.scrollspy.3f2a1c9b.mjs'), with its
+ *    imports rewritten to the hashed files. A module's hash covers its own source and that of everything it imports,
+ *    so it changes whenever any part of its graph does. Entry scripts (hnl.dynamicimports.mjs) keep their name.
+ * -  Writes a manifest (domule-manifest.json) that maps each module's logical path to its built file, holds its
+ *    imports (for preloading), and lists the shared chunks: modules imported by more than one required module, or by
+ *    an entry script. It also holds a bundling plan: for each required module, which modules could be bundled into
+ *    it, and which are shared.
+ *
+ * At runtime, pass the manifest's URL to dynImports ({manifest: '/js/modules/domule-manifest.json'}), and modules are
+ * imported from their built files. The output directory should replace the modules directory on the server.
+ *
+ * Usage: node cli/domule.mjs build [templates...] --out dist/js/modules/ --alias assets=public/js/modules/
+ */
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import {parseArgs} from 'node:util';
+import {analyzeModule, listFiles, projectConfig, projectOptions, resolveModulePath, templateUsages} from './analyze.mjs';
+
+export const NAME = 'build';
+
+export const HELP = `Usage: domule build [files or directories...] --out <dir> [options]
+
+Scans templates for data-requires attributes, and writes the modules they require (and everything those import) to
+the output directory, with hashed filenames, along with a manifest for hnl.dynamicimports.
+
+Options:
+  --out <dir>            Output directory (required)
+  --alias <name>=<dir>   Local directory for a %name% path alias (repeatable)
+  --modules <dir>        Directory holding hnl.dynamicimports.mjs (default: the DOMule directory)
+  --root <dir>           Web root, for paths starting with '/' (default: current directory)
+  --entry <file>         Script that is loaded by the page itself, built without a hash (repeatable,
+                         default: hnl.dynamicimports.mjs)
+  --element <name>       Tag name of the custom element (default: domule-module)
+  --ext <list>           Template extensions (default: .html,.htm,.php,.twig)
+  --manifest <name>      Manifest filename (default: domule-manifest.json)
+  --hash-length <n>      Length of the hashes in filenames (default: 8)
+  --json                 Output the manifest to stdout as well`;
+
+/**
+ * Gets the SHA-256 hash of a string, in hex.
+ * @param {string} content
+ * @returns {string}
+ */
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Collects the modules a module imports, directly or indirectly.
+ * @param {Map<string, object>} graph - The analyzed modules, by file
+ * @param {string} file - The module's file
+ * @param {boolean} [dynamic=false] - Follow (literal) dynamic imports too
+ * @param {Set<string>} [collected] - The files collected so far
+ * @returns {Set<string>} - The files, excluding the module itself
+ */
+function importClosure(graph, file, dynamic = false, collected = new Set([file])) {
+  for (const imported of graph.get(file).imports) {
+    if (!imported.file || (imported.dynamic && !dynamic) || collected.has(imported.file) || !graph.has(imported.file)) continue;
+    collected.add(imported.file);
+    importClosure(graph, imported.file, dynamic, collected);
+  }
+  return new Set([...collected].filter((collectedFile) => collectedFile !== file));
+}
+
+/**
+ * Builds the modules required by templates.
+ * @param {object} config - The project configuration (see projectConfig in analyze.mjs)
+ * @param {string} config.out - The output directory
+ * @param {string} [config.manifestName='domule-manifest.json'] - The manifest's filename
+ * @param {number} [config.hashLength=8] - Length of the hashes in filenames
+ * @returns {{manifest: object, files: object[], issues: object[]}} - The manifest, the files that were written
+ * ({source, output}), and any issues ({severity, message, file, line})
+ */
+export function build({targets, aliases, modulesDir, root, entries, element, extensions, out, manifestName = 'domule-manifest.json', hashLength = 8}) {
+  const issues = [];
+  const report = (severity, message, file = null, line = null) => issues.push({severity, message, file, line});
+  const resolve = (spec) => resolveModulePath(spec, {aliases, modulesDir, root});
+
+  //modules that are loaded by DOMule (required by templates, or via DEPENDS), and who requires them
+  const required = new Map();
+  const templates = targets.flatMap((target) => listFiles(target, extensions));
+  for (const usage of templates.flatMap((template) => templateUsages(template, element))) {
+    if (/\{\{|\{%|<\?|\$\{/.test(usage.spec)) {
+      report('warning', `${usage.spec}: dynamic value, not built`, usage.file, usage.line);
+      continue;
+    }
+    const {file, reason} = resolve(usage.spec);
+    if (!file) {
+      report('warning', `${usage.spec}: ${reason}`, usage.file, usage.line);
+    } else if (!fs.existsSync(file)) {
+      report(usage.fallback ? 'warning' : 'error', `${usage.spec}: file not found (${file})`, usage.file, usage.line);
+    } else {
+      required.set(file, [...(required.get(file) || []), `${path.relative(process.cwd(), usage.file)}:${usage.line}`]);
+    }
+  }
+
+  //the full import graph
+  const graph = new Map();
+  const queue = [...required.keys(), ...entries.filter((entry) => fs.existsSync(entry))];
+  while (queue.length) {
+    const file = queue.shift();
+    if (graph.has(file)) continue;
+    const module = {...analyzeModule(file), source: fs.readFileSync(file, 'utf8')};
+    graph.set(file, module);
+    for (const imported of module.imports.filter((entry) => entry.file)) {
+      if (fs.existsSync(imported.file)) {
+        queue.push(imported.file);
+      } else {
+        report('error', `imports ${imported.spec}, which doesn't exist (${imported.file})`, file, imported.line);
+      }
+    }
+    for (const spec of module.depends) {
+      const {file: dependency, reason} = resolve(spec);
+      if (dependency && fs.existsSync(dependency)) {
+        required.set(dependency, [...(required.get(dependency) || []), `DEPENDS of ${path.basename(file)}`]);
+        queue.push(dependency);
+      } else {
+        report('error', `DEPENDS ${spec}: ${reason || `file not found (${dependency})`}`, file);
+      }
+    }
+  }
+
+  //shared chunks: modules in the static import graph of more than one required module, or of an entry script (which
+  //the page always loads, so bundling them into a module would load them twice)
+  const closures = new Map([...required.keys()].map((file) => [file, importClosure(graph, file)]));
+  const usage = new Map();
+  closures.forEach((closure) => closure.forEach((file) => usage.set(file, (usage.get(file) || 0) + 1)));
+  const loaded = new Set(entries.filter((entry) => graph.has(entry)).flatMap((entry) => [entry, ...importClosure(graph, entry)]));
+  const shared = new Set([...usage].filter(([file, count]) => count > 1 || required.has(file) || loaded.has(file)).map(([file]) => file));
+
+  //hashes cover the module's own source, and that of everything it imports
+  const hashes = new Map();
+  graph.forEach((module, file) => {
+    const sources = [...importClosure(graph, file, true)].map((imported) => sha256(graph.get(imported).source)).sort();
+    hashes.set(file, sha256([sha256(module.source), ...sources].join('\n')).slice(0, hashLength));
+  });
+  //manifest keys are relative to the modules directory, like the URLs DOMule resolves at runtime (so modules outside it
+  //start with '../'), but their built files are all written inside the output directory, under 'external'
+  const logical = (file) => path.relative(modulesDir, file).split(path.sep).join('/');
+  const output = (file) => {
+    const built = logical(file).replace(/^(\.\.\/)+/, 'external/');
+    return entries.includes(file) ? built : built.replace(/(\.[cm]?js)?$/, `.${hashes.get(file)}$1`);
+  };
+
+  //write the modules, with their imports pointing to the built files
+  const files = [];
+  graph.forEach((module, file) => {
+    let source = module.source;
+    for (const imported of module.imports.filter((entry) => entry.file && graph.has(entry.file))) {
+      let specifier = path.posix.relative(path.posix.dirname(output(file)), output(imported.file));
+      specifier = specifier.startsWith('.') ? specifier : `./${specifier}`;
+      source = source.replaceAll(`'${imported.spec}'`, `'${specifier}'`).replaceAll(`"${imported.spec}"`, `"${specifier}"`);
+    }
+    const target = path.join(out, output(file));
+    fs.mkdirSync(path.dirname(target), {recursive: true});
+    fs.writeFileSync(target, source);
+    files.push({source: file, output: target});
+  });
+
+  const manifest = {
+    generated: new Date().toISOString(),
+    base: './',
+    modules: {},
+    chunks: {shared: [...shared].map(logical).sort()},
+    bundles: {},
+  };
+  graph.forEach((module, file) => {
+    manifest.modules[logical(file)] = {
+      file: output(file),
+      hash: hashes.get(file),
+      imports: module.imports.filter((entry) => !entry.dynamic && entry.file && graph.has(entry.file)).map((entry) => logical(entry.file)),
+      ...(required.has(file) ? {required: true} : {}),
+      ...(shared.has(file) ? {shared: true} : {}),
+    };
+  });
+  closures.forEach((closure, file) => {
+    manifest.bundles[logical(file)] = {
+      requiredBy: required.get(file),
+      bundle: [...closure].filter((imported) => !shared.has(imported)).map(logical).sort(),
+      shared: [...closure].filter((imported) => shared.has(imported)).map(logical).sort(),
+    };
+  });
+  fs.mkdirSync(out, {recursive: true});
+  fs.writeFileSync(path.join(out, manifestName), JSON.stringify(manifest, null, 2));
+  return {manifest, files, issues};
+}
+
+/**
+ * Runs the build command.
+ * @param {string[]} args - The command line arguments (after 'build')
+ * @returns {number} - The exit code
+ */
+export function run(args) {
+  const {values, positionals} = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      ...projectOptions,
+      out: {type: 'string'},
+      manifest: {type: 'string', default: 'domule-manifest.json'},
+      'hash-length': {type: 'string', default: '8'},
+      json: {type: 'boolean', default: false},
+    },
+  });
+  if (values.help) {
+    console.log(HELP);
+    return 0;
+  }
+  if (!values.out) {
+    throw new TypeError('No output directory, use --out <dir>');
+  }
+  const out = path.resolve(values.out);
+  const {manifest, files, issues} = build({
+    ...projectConfig(values, positionals),
+    out,
+    manifestName: values.manifest,
+    hashLength: parseInt(values['hash-length'], 10) || 8,
+  });
+  for (const issue of issues) {
+    const location = issue.file ? `${path.relative(process.cwd(), issue.file)}${issue.line ? `:${issue.line}` : ''}  ` : '';
+    console.error(`  ${issue.severity === 'error' ? '✗' : '!'} ${location}${issue.message}`);
+  }
+  console.log(values.json ? JSON.stringify(manifest, null, 2) : `DOMule build: ${files.length} module(s) written to ${path.relative(process.cwd(), out) || '.'}, ${manifest.chunks.shared.length} shared chunk(s). Manifest: ${values.manifest}`);
+  return issues.some((issue) => issue.severity === 'error') ? 1 : 0;
+}
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * DOMule CLI v1.0 (10-2026)
+ * (C) hnldesign 2026
+ *
+ * Command line tools for DOMule, for Node 20 or newer. No dependencies needed.
+ *
+ * Usage: node cli/domule.mjs <command> [options]
+ * Run a command with --help for its options.
+ */
+const commands = {
+  audit: () => import('./audit.mjs'),
+  build: () => import('./build.mjs'),
+  serve: () => import('./serve.mjs'),
+};
+
+const HELP = `Usage: domule <command> [options]
+
+Commands:
+  audit    Check templates against the available modules (missing files, modules without init, duplicate names,
+           unused modules)
+  build    Write the required modules (and their imports) with hashed filenames, and a manifest for
+           hnl.dynamicimports
+  serve    Serve a directory, and push file changes to pages using dynImports' liveReload option
+
+Run 'domule <command> --help' for a command's options.`;
+
+const [command, ...args] = process.argv.slice(2);
+if (!commands[command]) {
+  console.log(HELP);
+  process.exitCode = (command && command !== '--help') ? 1 : 0;
+} else {
+  try {
+    const {run} = await commands[command]();
+    process.exitCode = await run(args);
+  } catch (error) {
+    console.error(`domule ${command}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * DOMule dev server v1.0 (10-2026)
+ * (C) hnldesign 2026
+ *
+ * A small static file server for developing modules, with live reload:
+ * -  Serves a directory (e.g. the modules folder), without caching, and with CORS headers, so pages served elsewhere
+ *    (e.g. by your PHP or CMS setup) can import modules from it.
+ * -  Watches the directory, and pushes changed files to connected pages over Server-Sent Events (at /__domule/events).
+ *    dynImports picks those up when started with the 'liveReload' option, and re-initializes changed modules in place.
+ *
+ * Usage: node cli/domule.mjs serve [dir] --port 8080
+ */
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import {parseArgs} from 'node:util';
+
+export const NAME = 'serve';
+
+export const HELP = `Usage: domule serve [dir] [options]
+
+Serves a directory (default: the current directory), and pushes file changes to pages that use dynImports with the
+'liveReload' option.
+
+Options:
+  --port <n>      Port to listen on (default: 8080)
+  --host <host>   Host to listen on (default: localhost)`;
+
+//the path of the Server-Sent Events endpoint
+export const EVENTS_PATH = '/__domule/events';
+
+const mimeTypes = {
+  '.mjs': 'text/javascript',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.css': 'text/css',
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.woff2': 'font/woff2',
+  '.map': 'application/json',
+};
+
+/**
+ * Starts the dev server.
+ * @param {object} config
+ * @param {string} config.dir - The directory to serve
+ * @param {number} config.port - The port to listen on
+ * @param {string} config.host - The host to listen on
+ * @returns {{server: http.Server, close: function}} - The server, and a function that stops it (and the watcher)
+ */
+export function serve({dir, port, host}) {
+  const clients = new Set();
+  const pending = {};
+
+  const server = http.createServer((request, response) => {
+    const headers = {'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-store'};
+    const {pathname} = new URL(request.url, 'http://localhost');
+    if (pathname === EVENTS_PATH) {
+      response.writeHead(200, {...headers, 'Content-Type': 'text/event-stream', 'Connection': 'keep-alive'});
+      response.write('retry: 1000\n\n');
+      clients.add(response);
+      request.on('close', () => clients.delete(response));
+      return;
+    }
+    let file;
+    try {
+      file = path.join(dir, decodeURIComponent(pathname));
+    } catch (error) {
+      response.writeHead(400, headers).end();
+      return;
+    }
+    if (file !== dir && !file.startsWith(dir + path.sep)) {
+      response.writeHead(403, headers).end();
+      return;
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+      file = path.join(file, 'index.html');
+    }
+    if (!fs.existsSync(file)) {
+      response.writeHead(404, {...headers, 'Content-Type': 'text/plain'}).end('Not found');
+      return;
+    }
+    response.writeHead(200, {...headers, 'Content-Type': mimeTypes[path.extname(file).toLowerCase()] || 'application/octet-stream'});
+    fs.createReadStream(file).pipe(response);
+  });
+
+  //editors often write a file several times in a row, so changes are collected for a bit
+  const watcher = fs.watch(dir, {recursive: true}, (type, filename) => {
+    if (!filename || filename.split(path.sep).some((part) => part === 'node_modules' || part.startsWith('.'))) return;
+    clearTimeout(pending[filename]);
+    pending[filename] = setTimeout(() => {
+      delete pending[filename];
+      const changed = {path: `/${filename.split(path.sep).join('/')}`, time: Date.now()};
+      console.log(`Changed: ${changed.path}`);
+      clients.forEach((client) => client.write(`event: change\ndata: ${JSON.stringify(changed)}\n\n`));
+    }, 50);
+  });
+
+  //keeps connections open through proxies
+  const keepAlive = setInterval(() => clients.forEach((client) => client.write(': ping\n\n')), 30000);
+
+  server.listen(port, host);
+  return {
+    server,
+    close() {
+      clearInterval(keepAlive);
+      watcher.close();
+      clients.forEach((client) => client.end());
+      server.close();
+    },
+  };
+}
+
+/**
+ * Runs the serve command. Keeps running until stopped (Ctrl+C).
+ * @param {string[]} args - The command line arguments (after 'serve')
+ * @returns {Promise<number>} - The exit code
+ */
+export function run(args) {
+  const {values, positionals} = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      port: {type: 'string', default: '8080'},
+      host: {type: 'string', default: 'localhost'},
+      help: {type: 'boolean', default: false},
+    },
+  });
+  if (values.help) {
+    console.log(HELP);
+    return Promise.resolve(0);
+  }
+  const dir = path.resolve(positionals[0] || '.');
+  const {server, close} = serve({dir, port: parseInt(values.port, 10), host: values.host});
+  return new Promise((resolve) => {
+    server.on('listening', () => {
+      const origin = `http://${values.host}:${server.address().port}`;
+      console.log(`DOMule dev server: serving ${dir} at ${origin}/`);
+      console.log(`Live reload: dynImports({/* paths */}, null, {liveReload: '${origin}${EVENTS_PATH}'});`);
+    });
+    server.on('error', (error) => {
+      console.error(`domule serve: ${error.message}`);
+      close();
+      resolve(1);
+    });
+    const stop = () => {
+      close();
+      resolve(0);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}
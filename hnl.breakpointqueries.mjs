@@ -0,0 +1,40 @@
+/**
+ * Breakpoint queries v1.0 (10-2026)
+ * (C) hnldesign 2026
+ *
+ * The breakpoint names and cutoff pixel values (taken from Bootstrap 5's default responsive breakpoints:
+ * https://getbootstrap.com/docs/5.0/layout/breakpoints/), and their media queries.
+ *
+ * Unlike hnl.breakpoints, importing this module has no side effects (it doesn't dispatch any breakPointChange events),
+ * so it can be imported by modules that only need the queries, e.g. hnl.dynamicimports for 'breakpoint:' triggers.
+ *
+ * Example:
+ * window.matchMedia(breakpointQuery('lg')).matches; //only lg
+ * window.matchMedia(breakpointQuery('lg', true)).matches; //lg and up
+ */
+export const NAME = 'breakpointQueries';
+
+export const breakpoints = [
+  { name: 'xs', minPx: 0 },
+  { name: 'sm', minPx: 576 },
+  { name: 'md', minPx: 768 },
+  { name: 'lg', minPx: 992 },
+  { name: 'xl', minPx: 1200 },
+  { name: 'xxl', minPx: 1400 }
+];
+
+/**
+ * Gets the media query that matches the given breakpoint (and only that breakpoint), or that breakpoint and up.
+ * @param {string} name - The breakpoint name, e.g. 'lg'
+ * @param {boolean} [andUp=false] - Also match all larger breakpoints
+ * @returns {string|null} - The media query, or null if there is no such breakpoint
+ */
+export function breakpointQuery(name, andUp = false) {
+  const x = breakpoints.findIndex((breakpoint) => breakpoint.name === name);
+  if (x < 0) return null;
+  const { minPx } = breakpoints[x];
+  if (andUp) return `(min-width: ${minPx}px)`;
+  //below is optional chaining. Fallback would be const maxPx = breakpoints[x + 1] ? breakpoints[x + 1].minPx - 0.02 : 0;]
+  const maxPx = breakpoints[x + 1]?.minPx - 0.02 || 0;
+  return `(min-width: ${minPx}px${maxPx ? `) and (max-width: ${maxPx}px` : ''})`;
+}
@@ -2,7 +2,7 @@
  * Breakpoint handler v1.2 (10-2023)
  * (C) hnldesign 2022-2023
  *
- * This module adds the current breakpoint-name (as specified in the 'breakpoints' const)
+ * This module adds the current breakpoint-name (as specified in the 'breakpoints' const, see hnl.breakpointqueries)
  * to the body class and notifies anyone listening of the change via the 'breakPointChange' event.
  *
  * Default breakpoint names and cutoff pixel values taken from Bootstrap 5's default responsive breakpoints:
@@ -18,20 +18,16 @@
  *       //do stuff
  *   });
  */
+import {breakpoints, breakpointQuery} from "./hnl.breakpointqueries.mjs";
+
 export const NAME = 'BreakpointHandler';
 
+//still exported from here, for modules that imported them from this module
+export {breakpoints, breakpointQuery};
+
 export const BreakpointHandler = (function () {
   'use strict';
 
-  const breakpoints = [
-    { name: 'xs', minPx: 0 },
-    { name: 'sm', minPx: 576 },
-    { name: 'md', minPx: 768 },
-    { name: 'lg', minPx: 992 },
-    { name: 'xl', minPx: 1200 },
-    { name: 'xxl', minPx: 1400 }
-  ];
-
   function dispatchBreakpointChangeEvent(detail) {
     const event = new CustomEvent('breakPointChange', { detail: detail?.target || detail });
     document.dispatchEvent(event);
@@ -39,12 +35,8 @@ export const BreakpointHandler = (function () {
 
   function setBreakpoints() {
     for (let x = 0; x < breakpoints.length; x++) {
-      const { name, minPx } = breakpoints[x];
-      //below is optional chaining. Fallback would be const maxPx = breakpoints[x + 1] ? breakpoints[x + 1].minPx - 0.02 : 0;]
-      const maxPx = breakpoints[x + 1]?.minPx - 0.02 || 0;
-
-      const mediaQuery = `(min-width: ${minPx}px${maxPx ? `) and (max-width: ${maxPx}px` : ''})`;
-      const MediaQueryList = window.matchMedia(mediaQuery);
+      const { name } = breakpoints[x];
+      const MediaQueryList = window.matchMedia(breakpointQuery(name));
       MediaQueryList.name = name;
 
       //handler to run on each media query match (change) event
@@ -14,22 +14,23 @@ const BODY = document.body;
 /**
  * Sets classes on the BODY element based on the percentage of the page scrolled.
  * @function
+ * @param {Event} [e] - The docShift event
+ * @param {object} [viewport] - The viewport's state (see the eventHandler's viewport)
  */
-function setScrollClasses() {
-  // Ratio of the viewport height to the document height. If >= 1, there is no scrolling.
-  const windowToBodyRatio = window.innerHeight / BODY.scrollHeight;
+function setScrollClasses(e, viewport = eventHandler.viewport) {
+  const {scrollY, height, documentHeight, directionY} = viewport;
 
   // Toggle 'scrolled-top' class if at top of page.
-  BODY.classList.toggle('scrolled-top', window.scrollY === 0);
+  BODY.classList.toggle('scrolled-top', scrollY === 0);
 
-  // If the page is scrollable, set classes based on scroll amount.
-  if (windowToBodyRatio < 1) {
-    const scrollAmount = Math.round((window.scrollY / window.innerHeight) * 10) / 10;
+  // If the page is scrollable (the viewport is smaller than the document), set classes based on scroll amount.
+  if (height < documentHeight) {
+    const scrollAmount = Math.round((scrollY / height) * 10) / 10;
 
     // Toggle 'scrolled-end' class if at bottom of page (within 10px margin).
     BODY.classList.toggle(
       'scrolled-end',
-      (window.scrollY + window.innerHeight - BODY.scrollHeight) >= -10 && window.scrollY !== 0,
+      (scrollY + height - documentHeight) >= -10 && scrollY !== 0,
     );
 
     // Toggle classes based on scroll percentage.
@@ -40,14 +41,11 @@ function setScrollClasses() {
     BODY.classList.toggle('scrolled-75', scrollAmount >= 0.75);
     BODY.classList.toggle('scrolled-100', scrollAmount >= 1);
 
-    // Set scrolling up or down classes based on previous scroll position.
-    if (window.prevScrollY !== undefined && window.prevScrollY !== 0) {
-      BODY.classList.toggle('scrolled-down', window.scrollY - window.prevScrollY >= 0);
-      BODY.classList.toggle('scrolled-up', window.scrollY - window.prevScrollY < 0);
+    // Set scrolling up or down classes based on the scroll direction (if scrolled since the previous frame).
+    if (directionY) {
+      BODY.classList.toggle('scrolled-down', directionY === 'down');
+      BODY.classList.toggle('scrolled-up', directionY === 'up');
     }
-
-    // Save previous scroll position for next comparison.
-    window.prevScrollY = window.scrollY;
   } else {
     // Remove all scroll-related classes except 'scrolled-top'.
     BODY.classList.forEach((className) => {
@@ -75,9 +73,10 @@ export function classToggler() {
   BODY.classList.toggle('no-js-modules', !('noModule' in HTMLScriptElement.prototype));
   BODY.classList.toggle('no-debug', (!window.location.search.includes('debug=true')));
 
-  //bind handling of scroll classes, and immediately run (addListener returns the assigned callback)
+  //bind handling of scroll classes, and immediately run
   //note: 'docShift' represents both a scroll or a resize event
-  eventHandler.addListener('docShift', setScrollClasses)();
+  eventHandler.addListener('docShift', setScrollClasses);
+  setScrollClasses();
 
   eventHandler.breakPointChange(onBreakpointChange);
 
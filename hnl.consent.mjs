@@ -0,0 +1,154 @@
+/**
+ * Consent store v1.0 (10-2026)
+ * (C) hnldesign 2026
+ *
+ * Keeps track of the consent categories (e.g. 'analytics', 'marketing') the visitor has granted, and notifies
+ * listeners when that changes. Consent is persisted in localStorage (or a cookie), so it is remembered on the next
+ * page load. Used by the hnl.dynamicimports module for 'data-requires-consent', but can be used on its own too.
+ *
+ * Example (e.g. in your cookie banner):
+ * consent.grant('analytics', 'marketing');
+ * consent.revoke('marketing');
+ * consent.isGranted('analytics'); //true
+ *
+ * The store is also available as window.DOMule.consent, once hnl.dynamicimports is loaded.
+ */
+import {hnlLogger} from "./hnl.logger.mjs";
+
+export const NAME = 'consent';
+
+const settings = {
+  storage: 'localStorage',
+  key: 'domule-consent',
+  days: 365,
+};
+//the granted categories, read from storage on first use
+let granted = null;
+const listeners = new Set();
+
+/**
+ * Splits a list of categories, as used in 'data-requires-consent' ('analytics, marketing').
+ * @param {string|string[]} categories - A category, a comma-separated list, or an array of those
+ * @returns {string[]}
+ */
+function categoriesOf(categories) {
+  return [categories].flat().join(',').split(',').map((category) => category.trim()).filter(Boolean);
+}
+
+/**
+ * Reads the granted categories from storage.
+ * @returns {Set<string>}
+ */
+function read() {
+  let stored = '';
+  try {
+    if (settings.storage === 'cookie') {
+      const cookie = document.cookie.split(';').map((part) => part.trim()).find((part) => part.startsWith(`${settings.key}=`));
+      stored = cookie ? decodeURIComponent(cookie.slice(settings.key.length + 1)) : '';
+    } else if (settings.storage === 'localStorage') {
+      stored = window.localStorage.getItem(settings.key) || '';
+    }
+  } catch (error) {
+    //storage can be unavailable (e.g. blocked by privacy settings), consent then only lasts for this page
+    hnlLogger.warn(NAME, `Can't read consent from ${settings.storage}.`);
+  }
+  return new Set(categoriesOf(stored));
+}
+
+/**
+ * Writes the granted categories to storage.
+ */
+function write() {
+  const value = [...granted].join(',');
+  try {
+    if (settings.storage === 'cookie') {
+      document.cookie = `${settings.key}=${encodeURIComponent(value)}; max-age=${settings.days * 86400}; path=/; SameSite=Lax`;
+    } else if (settings.storage === 'localStorage') {
+      window.localStorage.setItem(settings.key, value);
+    }
+  } catch (error) {
+    hnlLogger.warn(NAME, `Can't store consent in ${settings.storage}.`);
+  }
+}
+
+/**
+ * Gets the granted categories, reading them from storage if needed.
+ * @returns {Set<string>}
+ */
+function current() {
+  granted = granted || read();
+  return granted;
+}
+
+/**
+ * Updates the granted categories, stores them, and notifies listeners of the categories that actually changed.
+ * @param {string[]} categories - The categories to update
+ * @param {boolean} grant - Grant (true) or revoke (false)
+ */
+function update(categories, grant) {
+  const changed = categoriesOf(categories).filter((category) => current().has(category) !== grant);
+  if (!changed.length) return;
+  changed.forEach((category) => grant ? granted.add(category) : granted.delete(category));
+  write();
+  hnlLogger.info(NAME, `Consent ${grant ? 'granted' : 'revoked'}: ${changed.join(', ')}`);
+  listeners.forEach((listener) => {
+    try {
+      listener({granted: grant ? changed : [], revoked: grant ? [] : changed, categories: [...granted]});
+    } catch (error) {
+      hnlLogger.error(NAME, error);
+    }
+  });
+}
+
+export const consent = {
+  /**
+   * Configures where consent is stored. Call this before consent is first read (i.e. before dynImports).
+   * @param {object} options
+   * @param {string|boolean} [options.storage='localStorage'] - 'localStorage', 'cookie', or false to not persist
+   * @param {string} [options.key='domule-consent'] - The localStorage key, or cookie name
+   * @param {number} [options.days=365] - How long the cookie lasts
+   */
+  configure(options = {}) {
+    Object.assign(settings, options);
+    granted = null;
+  },
+  /**
+   * Grants consent for one or more categories.
+   * @param {...string} categories
+   */
+  grant(...categories) {
+    update(categories, true);
+  },
+  /**
+   * Revokes consent for one or more categories.
+   * @param {...string} categories
+   */
+  revoke(...categories) {
+    update(categories, false);
+  },
+  /**
+   * Checks whether consent was granted for all of the given categories.
+   * @param {string|string[]} categories - A category, a comma-separated list, or an array of those
+   * @returns {boolean}
+   */
+  isGranted(categories) {
+    return categoriesOf(categories).every((category) => current().has(category));
+  },
+  /**
+   * Lists the granted categories.
+   * @returns {string[]}
+   */
+  granted() {
+    return [...current()];
+  },
+  /**
+   * Calls a listener whenever consent changes, with the categories that were 'granted' or 'revoked', and all granted
+   * 'categories'.
+   * @param {function} listener
+   * @returns {function} - Removes the listener again
+   */
+  onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
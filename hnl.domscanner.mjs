@@ -1,35 +1,73 @@
 import {hnlLogger} from "./hnl.logger.mjs";
+import {querySelectorAllDeep} from "./hnl.helpers.mjs";
 
 export const NAME = 'domScanner';
-const _modules = {};
-const _deferred = {};
 
-export function domScanner($name, $callBack, $stripExtension) {
-  hnlLogger.info(NAME, 'Scan for \'data-' + $name + '\' modules in DOM');
-  let modsReq = document.querySelectorAll('[data-' + $name + ']');
+/**
+ * Sorts the given elements by the module(s) they require via their 'data-<name>' attribute.
+ * Elements that have 'data-require-lazy' (or 'data-requires-lazy') set end up in the deferred set, all others in the modules set.
+ * @param {string} $name - The dataset name to read, e.g. 'requires'
+ * @param {Iterable<Element>} elements - The elements to sort
+ * @param {boolean} [$stripExtension] - Strip the .js/.mjs extension from module paths
+ * @returns {{modules: object, deferred: object}} - Both sets, keyed by module path, holding arrays of elements
+ */
+export function scanElements($name, elements, $stripExtension) {
+  const modules = {};
+  const deferred = {};
   let stripExt = $stripExtension ? $stripExtension : false; //strip extension?
-  modsReq.forEach(function (element) {
+  elements.forEach(function (element) {
     element.dataset[$name].split(',').forEach(function (mod) {
       const module = stripExt ? mod.replace(/\.m*js$/, '') : mod;
       if (module.toString().trim()) {
-        // if data-require-lazy is set (to true),
+        // if data-require-lazy (or data-requires-lazy) is set (to true),
         // defer loading of module until (one of the) requiring element(s) is visible
-        if (element.dataset['requireLazy']) {
+        if (element.dataset['requireLazy'] || element.dataset['requiresLazy']) {
           // element is likely invisible, defer module loading and place a watcher for layout shifts
-          (_deferred[module] = _deferred[module] ? _deferred[module] : []).push(element);
+          (deferred[module] = deferred[module] ? deferred[module] : []).push(element);
         } else {
-          (_modules[module] = _modules[module] ? _modules[module] : []).push(element);
+          (modules[module] = modules[module] ? modules[module] : []).push(element);
         }
       }
     })
   });
+  return {modules, deferred};
+}
+
+/**
+ * Scans a root node for elements that require modules via their 'data-<name>' attribute, and sorts them (see
+ * scanElements). Each scan has its own result set, so a root can be scanned (again) after its content was swapped.
+ *
+ * Example:
+ * domScanner(document.querySelector('#ajaxContent'), 'requires', (modules, deferred, totals) => { ... });
+ *
+ * @param {Document|Element|DocumentFragment} [root=document] - The node to scan: the document (or an iframe's
+ * document), a subtree (including the element itself), or a DocumentFragment. Can be omitted.
+ * @param {string} $name - The dataset name to read, e.g. 'requires'
+ * @param {function} [$callBack] - Called with the modules, the deferred modules, and the number of modules found
+ * @param {boolean} [$stripExtension] - Strip the .js/.mjs extension from module paths
+ * @param {boolean} [$shadowRoots] - Also scan inside (nested) open shadow roots, attaching declarative shadow DOM
+ * ('<template shadowrootmode="open">') that wasn't attached yet
+ * @returns {{modules: object, deferred: object}} - The results of this scan
+ */
+export function domScanner(root, $name, $callBack, $stripExtension, $shadowRoots) {
+  if (typeof root === 'string') {
+    //no root given, scan the whole document
+    [root, $name, $callBack, $stripExtension, $shadowRoots] = [document, root, $name, $callBack, $stripExtension];
+  }
+  hnlLogger.info(NAME, 'Scan for \'data-' + $name + '\' modules in ' + (root.nodeType === Node.DOCUMENT_NODE ? 'DOM' : 'subtree'));
+  const selector = '[data-' + $name + ']';
+  let modsReq = $shadowRoots ? querySelectorAllDeep(root, selector) : [...root.querySelectorAll(selector)];
+  if (!$shadowRoots && root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+    modsReq.unshift(root);
+  }
+  const {modules, deferred} = scanElements($name, modsReq, $stripExtension);
   if (typeof $callBack === 'function' || !modsReq.length) {
-    let totals = Object.keys(_modules).length;
-    let deferredTotals = Object.keys(_deferred).length;
+    let totals = Object.keys(modules).length;
+    let deferredTotals = Object.keys(deferred).length;
     hnlLogger.info(NAME, 'Scan done, ' + totals + ' module(s) found.' + (deferredTotals ? ' (And ' + deferredTotals + ' lazy module(s) found)' : ''));
-    //hnlLogger.info(NAME, _modules);
     if (typeof $callBack === 'function') {
-      $callBack.call(this, _modules, _deferred, totals);
+      $callBack.call(this, modules, deferred, totals);
     }
   }
-}
\ No newline at end of file
+  return {modules, deferred};
+}
@@ -1,50 +1,317 @@
 /**
- * Dynamic module importer v1.3 (10-2023)
- * (C) hnldesign 2022-2023
+ * Dynamic module importer v2.0 (10-2026)
+ * (C) hnldesign 2022-2026
  *
  * -  Scans DOM for elements that have a 'data-requires' attribute set, with the required module as a variable
  * -  Queues up all modules found and then loads them sequentially
  * -  Has support for lazy loading via 'data-requires-lazy="true"' attributes,
  *    meaning the module will only get loaded when the requiring element has become visible.
  *    It will then try running the module's exported 'init' function if it has one.
+ *    Visibility is watched by shared IntersectionObservers, optionally with a preload distance
+ *    ('data-requires-lazy-margin="200px"'), and optionally initializing only the elements that came into view.
+ * -  Scans the whole document, or only a given root: a subtree, an iframe's document, or a DocumentFragment.
+ * -  Optionally scans open shadow roots too (including declarative shadow DOM).
+ * -  Optionally observes the DOM for requiring elements inserted later on (AJAX, modals, etc.),
+ *    and initializes only those. Elements are never initialized twice for the same module.
+ * -  Calls the module's exported 'destroy' function (if it has one) for requiring elements that are removed from the
+ *    DOM (when observing), or that are unloaded via the exported 'unload' function.
+ * -  Passes per-element options to 'init', read from 'data-requires-options' (JSON) or namespaced 'data-<module>-*'
+ *    attributes, and validated against the module's exported OPTIONS schema (see hnl.moduleoptions).
+ * -  Has support for other load triggers via 'data-requires-on': 'click', 'hover', 'focus', 'idle', 'visible',
+ *    'media:(min-width: 992px)' and 'breakpoint:lg' (lg and up). Interactions that triggered the load are replayed
+ *    after init.
+ * -  Has support for load priorities via 'data-requires-priority': 'high' modules start loading first, 'low' modules
+ *    wait until those have been initialized (or the browser is idle). Optionally limits concurrent imports.
+ * -  Modules can export their dependencies on other modules (DEPENDS = ['%assets%/hnl.other.mjs']). These are
+ *    loaded too, and initialized first (circular dependencies are detected and logged).
+ * -  Has support for consent-gated modules via 'data-requires-consent="analytics"': these wait until consent is
+ *    granted (see hnl.consent, also available as window.DOMule.consent), and are torn down when it is revoked.
+ * -  Failed imports are retried (with backoff), and then tried from alternate URLs in 'data-requires-fallback'.
+ * -  Requiring elements get lifecycle classes ('module-loading', 'module-ready', 'module-failed'), a matching
+ *    'data-requires-state' attribute, and receive 'domule:load', 'domule:init' and 'domule:error' events.
+ * -  Returns a Promise that resolves with a load report. Also exports 'load', 'loadModule' and 'whenReady' for
+ *    loading (and awaiting) modules programmatically.
+ * -  Adds modulepreload hints for modules that are imported right away, and prefetches lazy and triggered modules
+ *    when the browser is idle. An optional dependency manifest lets it preload each module's full import graph.
+ * -  Optionally only imports modules from allowed origins or path aliases, enforces SRI hashes (via modulepreload links),
+ *    and adds the page's CSP nonce to the links it adds.
+ * -  Imports built (hashed) modules instead, using the manifest generated by the DOMule CLI's build command.
+ * -  Optionally versions module URLs for cache busting (a build version, per-module hashes, or a timestamp per page
+ *    load), the same for every import of a module via DOMule. Static imports aren't versioned (unless mapped by the
+ *    manifest's import map), so only version modules that aren't also imported statically elsewhere.
+ * -  Optionally defines a custom element (<domule-module src="..." lazy>), for when 'data-requires' attributes can't
+ *    be used. It loads its module when connected, and tears it down when disconnected.
+ * -  Optionally listens to the DOMule dev server (live reload), and re-initializes changed modules in place.
+ * -  Keeps a registry of all modules (name, URL, state, elements, exports and timings), available through
+ *    'getModules' and 'getModule', and on window.DOMule for debugging and QA tools.
  *
  * Example:
  * <div data-requires="./modules/hnl.colortool.mjs" data-require-lazy="true"></div>
  */
-import {domScanner} from "./hnl.domscanner.mjs";
-import {isVisible} from "./hnl.helpers.mjs";
+import {domScanner, scanElements} from "./hnl.domscanner.mjs";
+import {moduleOptions} from "./hnl.moduleoptions.mjs";
 import {hnlLogger} from "./hnl.logger.mjs";
-import eventHandler from "./hnl.eventhandler.mjs";
+import {breakpointQuery} from "./hnl.breakpointqueries.mjs";
+import {querySelectorAllDeep, shadowRootsWithin} from "./hnl.helpers.mjs";
+import {consent} from "./hnl.consent.mjs";
 
 export const NAME = 'dynImports';
 
-const deferredModules = {};
 const defaultPaths = {
   //'name'  :  'https://url.here'
 }
+const dynImportPaths = { ...defaultPaths };
+//elements, and the modules they have been claimed for
+const claimedElements = new WeakMap();
+//elements, and the modules they have been initialized for
+const initializedElements = new WeakMap();
+//registry records of all modules that were encountered (in data-requires or DEPENDS), by key
+const registry = {};
+//alternate module paths (from data-requires-fallback), by key
+const moduleFallbacks = {};
+//elements, and the load state of each module they require
+const elementStates = new WeakMap();
+//modules that have been (or are being) imported, by key
+const importedModules = {};
+//modules that have been imported, by key
+const loadedModules = {};
+//the most recent (pending) initialization of each module, by key
+const pendingInits = {};
+//dependencies of imported modules, by key
+const dependencyGraph = {};
+//promises (and their resolvers) for modules being waited for via whenReady, by name or key
+const readyModules = {};
+//lazy elements, and the groups of deferred elements they are waiting with
+const lazyElements = new WeakMap();
+//shared IntersectionObservers for lazy elements, by root margin
+const lazyObservers = {};
+//elements waiting for a load trigger, and the function that stops waiting
+const triggerElements = new WeakMap();
+//modules queued for initialization, by key
+const initQueue = {};
+//shared media query lists for media triggers, by query
+const mediaLists = {};
+//callbacks waiting for the browser to become idle
+const idleCallbacks = [];
+//load priorities, from high to low
+const priorities = ['high', 'normal', 'low'];
+//imports waiting for a free slot (see settings.concurrency), with their priority
+const importQueue = [];
+let activeImports = 0;
+//pending initializations of high-priority modules, which low-priority modules wait for
+const highPriorityInits = new Set();
+//resource hints that were added to the document, as 'rel url'
+const resourceHints = new Set();
+//the (pending) dependency manifest, see loadManifest
+let manifestLoading = null;
+//the dependency manifest's modules, once loaded, by resolved URL
+let manifestEntries = null;
+//version for the 'timestamp' versioning strategy, the same for all modules during a page load
+const pageVersion = Date.now().toString(36);
+let domObserver = null;
+//nodes being observed by the domObserver
+const observedRoots = new WeakSet();
+//requiring elements that require consent (data-requires-consent), held back or not
+const consentElements = new Set();
+let consentWatched = false;
+//the connection to the dev server, for live reload (see watchChanges)
+let liveReloadSource = null;
+const settings = {
+  observe: false,
+  lazyMargin: '0px',
+  lazyBatches: false,
+  retries: 2,
+  retryDelay: 500,
+  preload: true,
+  prefetch: true,
+  manifest: null,
+  shadowDom: false,
+  version: null,
+  concurrency: Infinity,
+  liveReload: false,
+  customElement: false,
+  security: {
+    allow: null,
+    integrity: {},
+    nonce: null,
+  },
+}
+//lifecycle classes for requiring elements, by state
+const stateClasses = {
+  loading: 'module-loading',
+  ready: 'module-ready',
+  failed: 'module-failed',
+  consent: 'module-consent',
+}
 
 /**
- * Rewrites the path of the module, includes a site nonce if it exists.
+ * Rewrites the path of the module, and adds its version (if any) as a 'v' parameter.
  * Replaces %path% definitions if found in dynImportPaths config const.
+ * Modules that were built (see the build command of the DOMule CLI) are mapped to their built (hashed) file, using the
+ * dependency manifest, if it was loaded.
  * @param {string} uri - The URI of the module to load.
  * @param dynamicPaths
- * @returns {string} - The rewritten URI with the site nonce appended, if it exists.
+ * @param {string|null} [version] - The module's version (see versionOf)
+ * @returns {string} - The rewritten URI.
  */
-function rewritePath(uri, dynamicPaths) {
+function rewritePath(uri, dynamicPaths, version = null) {
+  const built = manifestEntries && manifestEntries[resolveKey(uri)];
+  if (built && built.file) {
+    return built.file;
+  }
   const params = new URLSearchParams(uri.split('?')[1] || '');
   //check if path was preceded by a %path%, indicating a custom path to a uniform resource locator prefix
   let customPath = (new RegExp(/^%(.*?)%/gi).exec(uri));
   if (customPath && dynamicPaths[customPath[1]]) {
     uri = uri.replace(`${customPath[0]}/`, dynamicPaths[customPath[1]]);
   } else {
-    if (typeof SITE_NONCE !== 'undefined') { params.append('nonce', SITE_NONCE) }
     uri = uri.replace('./', './../');
   }
-  if (window.location.search.includes('debug=true')) {
-    params.append('debug', 'true');
-    params.append('random', window.crypto.randomUUID());
+  if (version) {
+    params.set('v', version);
+  }
+  const query = params.toString();
+  return uri.split('?')[0] + (query ? '?' + query : '');
+}
+
+/**
+ * Gets the version of a module, used for cache busting, according to the versioning strategy (settings.version):
+ * - a string: a build version, used for all modules
+ * - 'manifest': the module's hash from the dependency manifest (modules without one aren't versioned)
+ * - 'timestamp': the time this page was loaded, so modules are fetched fresh on each page load during development
+ * - a function: called with the module's key (its resolved URL), returns the version (or null)
+ * Without a strategy, modules aren't versioned. The version is the same for every import of a module via DOMule
+ * during a page load. Static imports of the same module (inside other modules) keep its plain URL though, and get a
+ * second instance, unless the manifest's import map (see manifestImportMap) maps them to the versioned URL as well.
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @returns {string|null} - The version
+ */
+function versionOf(key) {
+  const strategy = settings.version;
+  if (typeof strategy === 'function') {
+    return strategy(key) || null;
+  }
+  if (strategy === 'manifest') {
+    return (manifestEntries && manifestEntries[key] && manifestEntries[key].hash) || null;
   }
-  return uri.split('?')[0] + '?' + params.toString();
+  return (strategy === 'timestamp') ? pageVersion : strategy;
+}
+
+/**
+ * Resolves the key that identifies a module: its resolved URL (without query), so the same module is recognized no
+ * matter how its path was written.
+ * @param {string} path - The module path, as specified in data-requires or DEPENDS
+ * @returns {string} - The key
+ */
+function resolveKey(path) {
+  let resolved = path.trim().split('?')[0];
+  const customPath = (new RegExp(/^%(.*?)%/gi).exec(resolved));
+  if (customPath && dynImportPaths[customPath[1]]) {
+    resolved = resolved.replace(`${customPath[0]}/`, dynImportPaths[customPath[1]]);
+  } else {
+    resolved = resolved.replace('./', './../');
+  }
+  return new URL(resolved, import.meta.url).href;
+}
+
+/**
+ * Gets the key that identifies a module (see resolveKey), and creates the module's registry record if needed,
+ * remembering the path as first specified, for importing.
+ * @param {string} path - The module path, as specified in data-requires or DEPENDS
+ * @returns {string} - The key
+ */
+function moduleKey(path) {
+  path = path.trim();
+  const key = resolveKey(path);
+  registry[key] = registry[key] || {
+    key,
+    path,
+    name: moduleName({}, key),
+    url: null,
+    state: 'pending',
+    elements: new Set(),
+    waiting: new Set(),
+    timings: {},
+    error: null,
+  };
+  return key;
+}
+
+/**
+ * Checks whether a module may be imported, according to the allowlist (settings.security.allow). Without an allowlist,
+ * all modules are allowed. Entries are path aliases ('%assets%'), origins ('https://cdn.example.com'), or 'self' for
+ * the page's own origin.
+ * @param {string} path - The module path, as specified in data-requires, DEPENDS or data-requires-fallback
+ * @returns {boolean}
+ */
+function isTrusted(path) {
+  const allow = settings.security.allow;
+  if (!allow) {
+    return true;
+  }
+  const origin = new URL(resolveKey(path)).origin;
+  return allow.some((entry) => {
+    if (/^%.*%$/.test(entry)) {
+      return path.trim().startsWith(`${entry}/`);
+    }
+    return (entry === 'self') ? origin === window.location.origin : origin === new URL(entry).origin;
+  });
+}
+
+/**
+ * Validates the allowlist's entries (see isTrusted), warning about (and dropping) entries that are neither a path alias,
+ * 'self', nor an absolute URL, like path prefixes ('/js/modules/').
+ * @param {string[]} allow - The allowlist
+ * @returns {string[]} - The valid entries
+ */
+function validAllowlist(allow) {
+  return allow.filter((entry) => {
+    try {
+      return /^%.*%$/.test(entry) || entry === 'self' || Boolean(new URL(entry));
+    } catch (error) {
+      hnlLogger.warn(NAME, `Ignoring allowlist entry '${entry}': use a path alias, an origin, or 'self'.`);
+      return false;
+    }
+  });
+}
+
+/**
+ * Gets the SRI hash a module must match, from the integrity map (settings.security.integrity). Its keys can be
+ * written like module paths (including aliases), or as absolute URLs.
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @returns {string|undefined} - The hash (e.g. 'sha384-...'), if specified
+ */
+function integrityOf(key) {
+  const match = Object.keys(settings.security.integrity).find((path) => resolveKey(path) === key);
+  return match && settings.security.integrity[match];
+}
+
+/**
+ * Gets the CSP nonce for tags that are added to the document: the configured nonce (settings.security.nonce), a
+ * global SITE_NONCE, or else the nonce of the first script that has one.
+ * @returns {string} - The nonce, or an empty string if none was found
+ */
+function cspNonce() {
+  if (settings.security.nonce) {
+    return settings.security.nonce;
+  }
+  if (typeof SITE_NONCE !== 'undefined') {
+    return SITE_NONCE;
+  }
+  const script = document.querySelector('script[nonce]');
+  return script ? script.nonce : '';
+}
+
+/**
+ * Gets the URL a module is imported from (its rewritten path). This is only rewritten once, so resource hints and
+ * the import itself use the exact same URL.
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @returns {string} - The URL
+ */
+function importUrl(key) {
+  const record = registry[key];
+  record.href = record.href || rewritePath(record.path, dynImportPaths, versionOf(key));
+  return record.href;
 }
 
 /**
@@ -54,7 +321,1206 @@ function rewritePath(uri, dynamicPaths) {
  * @returns {string} the name of the module
  */
 function moduleName(module, path) {
-  return (typeof module.NAME !== 'undefined') ? module.NAME : path.split('/').splice(-1)[0].split('?').slice(0,-1)[0];
+  return (typeof module.NAME !== 'undefined') ? module.NAME : path.split('/').splice(-1)[0].split('?')[0];
+}
+
+/**
+ * Claims an element for a module, so it can never be initialized twice for that same module.
+ * @param {Element} element - The requiring element
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @returns {boolean} - True if the element was not claimed for this module before
+ */
+function claim(element, key) {
+  const claimed = claimedElements.get(element) || new Set();
+  if (claimed.has(key)) return false;
+  claimedElements.set(element, claimed.add(key));
+  return true;
+}
+
+/**
+ * Checks if an element is (still) claimed for a module, i.e. it has not been unloaded in the meantime.
+ * @param {Element} element - The requiring element
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @returns {boolean}
+ */
+function isClaimed(element, key) {
+  return !!claimedElements.get(element)?.has(key);
+}
+
+/**
+ * Remembers the alternate paths an element specifies for a module, in its 'data-requires-fallback' attribute.
+ * Fallbacks are comma-separated in the same order as the modules in 'data-requires', and multiple alternates for one
+ * module are separated by a pipe, e.g. data-requires="%assets%/a.mjs,%assets%/b.mjs"
+ * data-requires-fallback="https://cdn.one/a.mjs|https://cdn.two/a.mjs,https://cdn.one/b.mjs"
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @param {string} path - The module path, as specified in data-requires
+ * @param {Element} element - The requiring element
+ */
+function addFallbacks(key, path, element) {
+  if (!element.dataset.requiresFallback) return;
+  const index = element.dataset.requires.split(',').map((mod) => mod.trim()).indexOf(path.trim());
+  const alternates = (element.dataset.requiresFallback.split(',')[index] || '').split('|');
+  moduleFallbacks[key] = [...new Set([...(moduleFallbacks[key] || []), ...alternates.map((alternate) => alternate.trim()).filter(Boolean)])];
+}
+
+/**
+ * Tries importing a module from a list of paths. Each path is retried (with exponential backoff) before moving on
+ * to the next one. Retries get a 'retry' parameter, as browsers may cache a failed module fetch.
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @param {string[]} paths - The module path, followed by its alternates
+ * @param {number} [attempt=0] - The current attempt for the first path
+ * @returns {Promise<object>} - The imported module
+ */
+function importWithRetry(key, paths, attempt = 0) {
+  const [path, ...alternates] = paths;
+  if (!isTrusted(path)) {
+    hnlLogger.error(NAME, `Refused to import ${path}, its origin is not allowed.`);
+    return alternates.length ? importWithRetry(key, alternates) : Promise.reject(new Error(`Module ${path} is not allowed`));
+  }
+  let url = (path === registry[key].path) ? importUrl(key) : rewritePath(path, dynImportPaths, versionOf(key));
+  if (attempt) {
+    url += `${url.includes('?') ? '&' : '?'}retry=${attempt}`;
+  }
+  if (integrityOf(key) && !isResolvable(url)) {
+    return Promise.reject(new Error(`Integrity of ${path} can't be enforced for a bare specifier`));
+  }
+  hnlLogger.info(NAME, `Importing ${url.split('?')[0]}${attempt ? ` (retry ${attempt})` : ''}...`);
+  return preloadVerified(key, url).then(() => import(url)).then((module) => {
+    registry[key].url = url;
+    return module;
+  }, (error) => {
+    if (attempt < settings.retries) {
+      const delay = settings.retryDelay * 2 ** attempt;
+      hnlLogger.warn(NAME, `Importing ${path} failed, retrying in ${delay}ms.`);
+      return new Promise((resolve) => setTimeout(resolve, delay)).then(() => importWithRetry(key, paths, attempt + 1));
+    }
+    if (alternates.length) {
+      hnlLogger.warn(NAME, `Importing ${path} failed, trying ${alternates[0]} instead.`);
+      return importWithRetry(key, alternates);
+    }
+    throw error;
+  });
+}
+
+/**
+ * Waits for a free import slot (see settings.concurrency). Waiting imports get a slot in order of priority, and in
+ * the order they were requested, within the same priority.
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @param {string} priority - 'high', 'normal' or 'low'
+ * @returns {Promise<function>} - Resolves with a function that frees the slot again
+ */
+function importSlot(key, priority) {
+  return new Promise((resolve) => {
+    importQueue.push({key, priority, resolve});
+    nextImport();
+  });
+}
+
+/**
+ * Hands out free import slots to the waiting imports with the highest priority.
+ */
+function nextImport() {
+  while (activeImports < settings.concurrency && importQueue.length) {
+    //sorting is stable, so imports of the same priority keep their order
+    importQueue.sort((a, b) => priorities.indexOf(a.priority) - priorities.indexOf(b.priority));
+    const {resolve} = importQueue.shift();
+    let released = false;
+    activeImports++;
+    resolve(() => {
+      if (released) return;
+      released = true;
+      activeImports--;
+      nextImport();
+    });
+  }
+}
+
+/**
+ * Raises the priority of an import that is still waiting for a slot, when it's requested again with a higher priority.
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @param {string} priority - 'high', 'normal' or 'low'
+ */
+function prioritizeImport(key, priority) {
+  const queued = importQueue.find((entry) => entry.key === key);
+  if (queued && priorities.indexOf(priority) < priorities.indexOf(queued.priority)) {
+    queued.priority = priority;
+  }
+}
+
+/**
+ * Gets the load priority of a module for the given elements, from their 'data-requires-priority' attributes: the
+ * highest priority of any of the elements. Defaults to 'normal'.
+ * @param {Element[]} elements - The requiring elements
+ * @returns {string} - 'high', 'normal' or 'low'
+ */
+function elementsPriority(elements) {
+  let index = priorities.length - 1;
+  let specified = false;
+  for (const element of elements) {
+    const priority = (element.dataset.requiresPriority || '').trim();
+    if (!priority) continue;
+    if (!priorities.includes(priority)) {
+      hnlLogger.warn(NAME, `Unknown priority '${priority}', use 'high', 'normal' or 'low'.`);
+      continue;
+    }
+    specified = true;
+    index = Math.min(index, priorities.indexOf(priority));
+  }
+  return specified ? priorities[index] : 'normal';
+}
+
+/**
+ * Waits until a module of the given priority may start loading. Low-priority modules wait until the high-priority
+ * modules that are loading have been initialized, or until the browser is idle (whichever comes first).
+ * @param {string} priority - 'high', 'normal' or 'low'
+ * @returns {Promise}
+ */
+function priorityTurn(priority) {
+  if (priority !== 'low' || !highPriorityInits.size) {
+    return Promise.resolve();
+  }
+  return Promise.race([Promise.all(highPriorityInits), new Promise((resolve) => onIdle(resolve))]);
+}
+
+/**
+ * Imports a module once, subsequent calls for the same module return the same (pending) import.
+ * A failed import is forgotten, so a next attempt can try again.
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @param {string} [priority='normal'] - 'high', 'normal' or 'low', for the import queue (see importSlot)
+ * @returns {Promise<object>} - The imported module
+ */
+function importModule(key, priority = 'normal') {
+  if (importedModules[key]) {
+    prioritizeImport(key, priority);
+  } else {
+    const record = registry[key];
+    record.state = 'loading';
+    record.timings.requested = performance.now();
+    //the manifest may hold the module's version, so wait for it (if there is one)
+    importedModules[key] = loadManifest().then(() => importSlot(key, priority)).then((release) => {
+      const imported = importWithRetry(key, [record.path, ...(moduleFallbacks[key] || [])]);
+      imported.then(release, release);
+      return imported;
+    });
+    importedModules[key].then((module) => {
+      loadedModules[key] = module;
+      record.name = moduleName(module, key);
+      record.state = 'loaded';
+      record.error = null;
+      record.timings.imported = performance.now();
+      record.timings.importTime = record.timings.imported - record.timings.requested;
+    }, (error) => {
+      delete importedModules[key];
+      record.state = 'failed';
+      record.error = error;
+    });
+  }
+  return importedModules[key];
+}
+
+/**
+ * Sets the load state of a module for an element, and updates the element's lifecycle classes and
+ * 'data-requires-state' attribute. An element requiring several modules is 'failed' if any of them failed,
+ * 'loading' if any of them is still loading, 'consent' if any of them is waiting for consent, and 'ready' once all of
+ * them are.
+ * @param {Element} element - The requiring element
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @param {string} state - 'loading', 'ready', 'failed' or 'consent'
+ */
+function setState(element, key, state) {
+  const states = (elementStates.get(element) || new Map()).set(key, state);
+  elementStates.set(element, states);
+  const all = [...states.values()];
+  const overall = ['failed', 'loading', 'consent'].find((state) => all.includes(state)) || 'ready';
+  for (const [name, className] of Object.entries(stateClasses)) {
+    element.classList.toggle(className, name === overall);
+  }
+  element.dataset.requiresState = overall;
+  element.setAttribute('aria-busy', (overall === 'loading').toString());
+}
+
+/**
+ * Removes all lifecycle classes and attributes from an element.
+ * @param {Element} element - The requiring element
+ */
+function clearState(element) {
+  if (!elementStates.has(element)) return;
+  elementStates.delete(element);
+  element.classList.remove(...Object.values(stateClasses));
+  element.removeAttribute('data-requires-state');
+  element.removeAttribute('aria-busy');
+}
+
+/**
+ * Dispatches a lifecycle event (domule:load, domule:init or domule:error) on a requiring element. Events bubble, so
+ * they can also be listened for on a parent, or the document.
+ * @param {Element} element - The requiring element
+ * @param {string} type - 'load', 'init' or 'error'
+ * @param {object} detail - The event's detail
+ */
+function dispatchLifecycle(element, type, detail) {
+  element.dispatchEvent(new CustomEvent(`domule:${type}`, {detail, bubbles: true}));
+}
+
+/**
+ * Imports a module, and (recursively) all modules it depends on, as exported in its DEPENDS array.
+ * A dependency that fails to load is logged, but does not stop the module itself from loading.
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @param {string} [priority='normal'] - 'high', 'normal' or 'low', used for the dependencies as well
+ * @param {Set<string>} [visited] - Modules visited while walking the dependency graph
+ * @returns {Promise<object>} - The imported module
+ */
+function importGraph(key, priority = 'normal', visited = new Set()) {
+  visited.add(key);
+  return importModule(key, priority).then((module) => {
+    if (!dependencyGraph[key]) {
+      const depends = module.DEPENDS || [];
+      if (!Array.isArray(depends)) {
+        hnlLogger.warn(moduleName(module, key), 'DEPENDS should be an array of module paths, ignoring it.');
+      }
+      dependencyGraph[key] = Array.isArray(depends) ? depends.map(moduleKey) : [];
+    }
+    const dependencies = dependencyGraph[key].filter((dependency) => !visited.has(dependency));
+    return Promise.all(dependencies.map((dependency) => importGraph(dependency, priority, visited).catch((error) => {
+      hnlLogger.error(NAME, `Dependency ${dependency} of ${key} failed to load.`);
+      hnlLogger.error(NAME, error);
+    }))).then(() => module);
+  });
+}
+
+/**
+ * Finds a path through the dependency graph from one module to another.
+ * @param {string} from - The key of the module to start from
+ * @param {string} to - The key of the module to find
+ * @param {string[]} [trail] - The path walked so far
+ * @returns {string[]|null} - The path (from ... to), or null if 'to' can't be reached
+ */
+function dependencyPath(from, to, trail = [from]) {
+  for (const dependency of dependencyGraph[from] || []) {
+    if (dependency === to) return [...trail, to];
+    if (trail.includes(dependency)) continue;
+    const path = dependencyPath(dependency, to, [...trail, dependency]);
+    if (path) return path;
+  }
+  return null;
+}
+
+/**
+ * Waits for the pending initializations of a module's dependencies, so modules are initialized in dependency
+ * (topological) order. Dependencies that (indirectly) depend on the module itself are circular; waiting for those
+ * would never end, so they are logged and skipped.
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @returns {Promise<void>}
+ */
+function dependenciesReady(key) {
+  const waitFor = [];
+  for (const dependency of dependencyGraph[key] || []) {
+    const cycle = dependencyPath(dependency, key);
+    if (cycle) {
+      const names = [key, ...cycle].map((path) => path.split('/').splice(-1)[0]);
+      hnlLogger.error(NAME, `Circular dependency: ${names.join(' → ')}. Not waiting for ${names[1]}.`);
+    } else if (pendingInits[dependency]) {
+      waitFor.push(pendingInits[dependency]);
+    }
+  }
+  return Promise.all(waitFor).then(() => {});
+}
+
+/**
+ * Gets the entry for a module that is (or can be) waited for using whenReady.
+ * @param {string} id - The module's name or key
+ * @returns {{promise: Promise<object>, resolve: function, reject: function, settled: boolean}}
+ */
+function readyEntry(id) {
+  if (!readyModules[id]) {
+    const entry = readyModules[id] = {settled: false};
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = (module) => {
+        entry.settled = true;
+        resolve(module);
+      };
+      entry.reject = reject;
+    });
+  }
+  return readyModules[id];
+}
+
+/**
+ * Rejects the pending whenReady promise of a module that failed to load or initialize (if anyone is waiting for it).
+ * The entry is removed, so waiting again waits for the next attempt.
+ * @param {string} id - The module's name or key
+ * @param {Error} error - The reason it failed
+ */
+function failReady(id, error) {
+  const entry = readyModules[id];
+  if (entry && !entry.settled) {
+    delete readyModules[id];
+    entry.reject(error);
+  }
+}
+
+/**
+ * Imports a module (if not imported already) and calls its init function with the given elements, and their options.
+ * Modules it depends on are imported as well, and are initialized first.
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @param {Element[]} elements - The elements that required the module
+ * @param {boolean} [lazy=false] - Whether this is a lazy (deferred) load, for logging purposes
+ * @param {string} [priority] - 'high', 'normal' or 'low', defaults to the elements' priority (see elementsPriority)
+ * @returns {Promise<object>} - The outcome: the module's name and key, its state ('ready' or 'failed'), the number of
+ * elements, the time it took (ms), and the error (if it failed). Never rejects.
+ */
+function initModule(key, elements, lazy = false, priority = elementsPriority(elements)) {
+  const start = performance.now();
+  //skip elements that were unloaded in the meantime
+  const claimed = () => elements.filter((element) => isClaimed(element, key));
+  elements = claimed();
+  elements.forEach((element) => setState(element, key, 'loading'));
+  let name = moduleName({}, key);
+  const initialized = priorityTurn(priority)
+      .then(() => importGraph(key, priority))
+      .then((module) => {
+        name = moduleName(module, key);
+        hnlLogger.info(name, lazy ? ' Imported (lazy).' : ' Imported.');
+        claimed().forEach((element) => dispatchLifecycle(element, 'load', {name, key, module}));
+        return dependenciesReady(key).then(() => module);
+      })
+      .then((module) => {
+        elements = claimed();
+        elements.forEach((element) => {
+          initializedElements.set(element, (initializedElements.get(element) || new Set()).add(key));
+        });
+        if (typeof module.init === 'function' && elements.length) {
+          hnlLogger.info(name, ` Initializing${lazy ? ' (lazy)' : ''} for ${elements.length} element(s).`);
+          module.init.call(module, elements, elements.map((element) => moduleOptions(element, module, name)));
+        }
+        elements.forEach((element) => {
+          setState(element, key, 'ready');
+          dispatchLifecycle(element, 'init', {name, key, module});
+        });
+        const record = registry[key];
+        elements.forEach((element) => {
+          record.waiting.delete(element);
+          record.elements.add(element);
+        });
+        record.state = 'ready';
+        record.timings.initialized = performance.now();
+        record.timings.initTime = record.timings.initialized - start;
+        readyEntry(name).resolve(module);
+        readyEntry(key).resolve(module);
+        return {name, key, state: 'ready', elements: elements.length, duration: performance.now() - start};
+      })
+      .catch((error) => {
+        hnlLogger.error(NAME, error);
+        elements = claimed();
+        elements.forEach((element) => {
+          registry[key].waiting.delete(element);
+          setState(element, key, 'failed');
+          dispatchLifecycle(element, 'error', {name, key, error});
+        });
+        registry[key].state = 'failed';
+        registry[key].error = error;
+        failReady(name, error);
+        failReady(key, error);
+        return {name, key, state: 'failed', elements: elements.length, duration: performance.now() - start, error};
+      });
+  pendingInits[key] = initialized;
+  if (priority === 'high') {
+    highPriorityInits.add(initialized);
+    initialized.then(() => highPriorityInits.delete(initialized));
+  }
+  return initialized;
+}
+
+/**
+ * Handles visibility changes of lazy elements, for all lazy observers. Depending on the 'lazyBatches' setting, an
+ * element that came into view either loads its module for the entire group of elements it was deferred with, or for
+ * itself only. Elements that came into view at the same time are initialized together, in one batch.
+ * @param {IntersectionObserverEntry[]} entries
+ */
+function onLazyIntersection(entries) {
+  const batches = {};
+  for (const entry of entries) {
+    if (!entry.isIntersecting) continue;
+    for (const group of lazyElements.get(entry.target) || []) {
+      const ready = settings.lazyBatches ? [entry.target] : [...group.elements];
+      ready.forEach((element) => {
+        group.elements.delete(element);
+        unwatchLazy(element, group);
+        (batches[group.key] = batches[group.key] || new Set()).add(element);
+      });
+    }
+  }
+  for (const [key, elements] of Object.entries(batches)) {
+    hnlLogger.info(NAME, `${elements.size} lazy element(s) visible, loading module.`);
+    initModule(key, [...elements], true);
+  }
+}
+
+/**
+ * Gets the shared lazy observer for a root margin, creating it if needed.
+ * @param {string} margin - The root margin, e.g. '200px'
+ * @returns {IntersectionObserver}
+ */
+function lazyObserver(margin) {
+  if (!lazyObservers[margin]) {
+    try {
+      lazyObservers[margin] = new IntersectionObserver(onLazyIntersection, {rootMargin: margin});
+    } catch (error) {
+      hnlLogger.warn(NAME, `Invalid lazy margin '${margin}', using '${settings.lazyMargin}' instead.`);
+      return lazyObserver(settings.lazyMargin);
+    }
+  }
+  return lazyObservers[margin];
+}
+
+/**
+ * Stops watching a lazy element for a group (or for all groups if none given, also removing it from those groups).
+ * @param {Element} element - The lazy element
+ * @param {object} [group] - The group it was deferred with
+ */
+function unwatchLazy(element, group) {
+  if (!group) {
+    //the element is torn down, so it shouldn't be loaded along with the rest of its groups either
+    (lazyElements.get(element) || []).forEach((g) => g.elements.delete(element));
+  }
+  const groups = (lazyElements.get(element) || []).filter((g) => group && g !== group);
+  if (groups.length) {
+    lazyElements.set(element, groups);
+  } else {
+    lazyElements.delete(element);
+    Object.values(lazyObservers).forEach((observer) => observer.unobserve(element));
+  }
+}
+
+/**
+ * Watches deferred (lazy) elements, and loads their module as soon as (one of) them becomes visible.
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @param {Element[]} elements - The elements that required the module
+ */
+function watchDeferred(key, elements) {
+  const group = {key, elements: new Set(elements)};
+  for (const element of elements) {
+    lazyElements.set(element, [...(lazyElements.get(element) || []), group]);
+    lazyObserver(element.dataset.requiresLazyMargin || settings.lazyMargin).observe(element);
+  }
+}
+
+/**
+ * Interaction triggers: the event that triggers the load, and the events that are replayed after init (with the
+ * node to dispatch them on), so the interaction is not lost.
+ */
+const interactionTriggers = {
+  click: {listen: 'click', prevent: true, replay: [['click', true, 'target']]},
+  hover: {listen: 'mouseover', replay: [['mouseover', true, 'target'], ['mouseenter', false, 'element']]},
+  focus: {listen: 'focusin', replay: [['focusin', true, 'target'], ['focus', false, 'target']]},
+};
+
+/**
+ * Queues elements for initialization of a module. Elements queued within the same task are initialized together.
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @param {Element[]} elements - The elements to initialize
+ * @returns {Promise<void>} - Resolves when the module has been initialized for the queued elements
+ */
+function queueInit(key, elements) {
+  if (!initQueue[key]) {
+    const queued = initQueue[key] = {elements: new Set()};
+    queued.promise = new Promise((resolve) => setTimeout(resolve)).then(() => {
+      delete initQueue[key];
+      return initModule(key, [...queued.elements]);
+    });
+  }
+  elements.forEach((element) => initQueue[key].elements.add(element));
+  return initQueue[key].promise;
+}
+
+/**
+ * Runs a callback as soon as the browser is idle. All callbacks waiting at that time are run in the same idle period.
+ * @param {function} callback
+ */
+function onIdle(callback) {
+  idleCallbacks.push(callback);
+  if (idleCallbacks.length > 1) return;
+  const run = () => idleCallbacks.splice(0).forEach((idleCallback) => idleCallback());
+  ('requestIdleCallback' in window) ? requestIdleCallback(run, {timeout: 2000}) : setTimeout(run, 200);
+}
+
+/**
+ * Replays an interaction on a (now initialized) element, by dispatching copies of the original event.
+ * @param {Element} element - The requiring element
+ * @param {Event} event - The original event
+ * @param {Array[]} replay - The event types to replay, whether they bubble, and where to dispatch them
+ */
+function replayInteraction(element, event, replay) {
+  if (!element.isConnected) return;
+  const eventInit = {};
+  for (const key in event) {
+    if (typeof event[key] !== 'function') eventInit[key] = event[key];
+  }
+  for (const [type, bubbles, on] of replay) {
+    const node = (on === 'element') ? element : event.target;
+    node.dispatchEvent(new event.constructor(type, {...eventInit, bubbles}));
+  }
+}
+
+/**
+ * Waits for the load trigger specified in an element's 'data-requires-on' attribute, and then initializes the
+ * element for the given modules. Interaction triggers are per element; condition triggers ('idle', 'media:' and
+ * 'breakpoint:') are shared, so elements that get triggered together are initialized together.
+ * @param {Element} element - The requiring element
+ * @param {string[]} keys - The module paths the element requires
+ * @param {string} trigger - The trigger, e.g. 'click' or 'media:(min-width: 992px)'
+ */
+function watchTrigger(element, keys, trigger) {
+  const [type, ...condition] = trigger.trim().split(':');
+  //'breakpoint:lg' means 'lg and up', like the min-width queries breakpoints are usually written as
+  const query = (type === 'breakpoint') ? breakpointQuery(condition.join(':').trim(), true) : condition.join(':').trim();
+  let stopWaiting = () => {};
+
+  const load = (event) => {
+    stopWaiting();
+    triggerElements.delete(element);
+    hnlLogger.info(NAME, `Load trigger '${trigger}' fired for ${keys.length} module(s).`);
+    return Promise.allSettled(keys.map((key) => queueInit(key, [element])));
+  };
+
+  if (interactionTriggers[type]) {
+    const {listen, prevent, replay} = interactionTriggers[type];
+    const listener = (event) => {
+      if (prevent) {
+        //hold the interaction until the module(s) can handle it
+        event.preventDefault();
+        event.stopPropagation();
+      }
+      load().then(() => replayInteraction(element, event, replay));
+    };
+    element.addEventListener(listen, listener, {capture: true, once: true});
+    stopWaiting = () => element.removeEventListener(listen, listener, {capture: true});
+  } else if (type === 'idle') {
+    let waiting = true;
+    onIdle(() => waiting && load());
+    stopWaiting = () => {
+      waiting = false;
+    };
+  } else if ((type === 'media' || type === 'breakpoint') && query) {
+    const mediaList = mediaLists[query] = mediaLists[query] || window.matchMedia(query);
+    if (mediaList.matches) {
+      load();
+      return;
+    }
+    const listener = (e) => e.matches && load();
+    mediaList.addEventListener('change', listener);
+    stopWaiting = () => mediaList.removeEventListener('change', listener);
+  } else {
+    hnlLogger.warn(NAME, `Unknown load trigger '${trigger}', loading right away.`);
+    load();
+    return;
+  }
+  triggerElements.set(element, () => {
+    stopWaiting();
+    triggerElements.delete(element);
+  });
+}
+
+/**
+ * Loads the dependency manifest (settings.manifest), once. The manifest is either an object, or the URL of a JSON file,
+ * listing the static imports of each module, so their full import graph can be preloaded, and optionally their hash,
+ * for versioning (see versionOf), or their built file (see rewritePath):
+ * { "base": "/js/modules/", "modules": { "hnl.scrollspy.mjs": { "imports": ["hnl.eventhandler.mjs"], "hash": "3f2a1c" } } }
+ * Paths are relative to 'base', which defaults to the manifest's own URL (or, for an object, this module's folder).
+ * The build command of the DOMule CLI generates a manifest like this.
+ * @returns {Promise<object|null>} - The manifest's modules (each holding its resolved imports and file), by resolved URL
+ */
+function loadManifest() {
+  if (!settings.manifest) {
+    return Promise.resolve(null);
+  }
+  if (!manifestLoading) {
+    const source = settings.manifest;
+    const fetched = (typeof source === 'string')
+      ? fetch(source).then((response) => response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`)))
+      : Promise.resolve(source);
+    manifestLoading = fetched.then((manifest) => {
+      const base = new URL(manifest.base || '', (typeof source === 'string') ? new URL(source, document.baseURI) : import.meta.url);
+      const entries = {};
+      for (const [file, entry] of Object.entries(manifest.modules || {})) {
+        entries[new URL(file, base).href] = {
+          ...entry,
+          file: entry.file ? new URL(entry.file, base).href : null,
+          imports: (entry.imports || []).map((imported) => new URL(imported, base).href),
+        };
+      }
+      manifestEntries = entries;
+      manifestImportMap(entries);
+      return entries;
+    }).catch((error) => {
+      hnlLogger.warn(NAME, `Dependency manifest could not be loaded: ${error.message}`);
+      return null;
+    });
+  }
+  return manifestLoading;
+}
+
+/**
+ * Gets the URL a module from the dependency manifest is fetched from: its built file, or its resolved URL with its
+ * version (see versionOf) added.
+ * @param {string} url - The module's resolved URL
+ * @returns {string} - The URL to fetch
+ */
+function manifestUrl(url) {
+  if (manifestEntries && manifestEntries[url] && manifestEntries[url].file) {
+    return manifestEntries[url].file;
+  }
+  const version = versionOf(url);
+  if (!version) {
+    return url;
+  }
+  const versioned = new URL(url);
+  versioned.searchParams.set('v', version);
+  return versioned.href;
+}
+
+/**
+ * Adds an import map that maps each module in the dependency manifest to the URL it is fetched from (see manifestUrl),
+ * so modules that are imported statically (by other modules) resolve to the same URL as modules imported by DOMule,
+ * instead of being instantiated a second time. Only added for modules that are versioned but not built (built files
+ * already import each other by their built names), and when the browser supports import maps. Browsers that don't
+ * support adding import maps after modules have loaded ignore it.
+ * @param {object} entries - The manifest's modules, by resolved URL (see loadManifest)
+ */
+function manifestImportMap(entries) {
+  if (!HTMLScriptElement.supports || !HTMLScriptElement.supports('importmap')) return;
+  const imports = {};
+  for (const [url, entry] of Object.entries(entries)) {
+    if (!entry.file && manifestUrl(url) !== url) {
+      imports[url] = manifestUrl(url);
+    }
+  }
+  if (!Object.keys(imports).length) return;
+  const script = document.createElement('script');
+  script.type = 'importmap';
+  script.textContent = JSON.stringify({imports});
+  const nonce = cspNonce();
+  if (nonce) {
+    script.nonce = nonce;
+  }
+  document.head.appendChild(script);
+}
+
+/**
+ * Collects the (static) import graph of a module from the dependency manifest.
+ * @param {object} entries - The manifest's modules, by resolved URL (see loadManifest)
+ * @param {string} url - The module's resolved URL
+ * @param {Set<string>} [graph] - The URLs collected so far
+ * @returns {Set<string>} - The URLs of all modules imported by the module, directly or indirectly
+ */
+function manifestGraph(entries, url, graph = new Set()) {
+  for (const imported of (entries[url] ? entries[url].imports : [])) {
+    if (!graph.has(imported)) {
+      graph.add(imported);
+      manifestGraph(entries, imported, graph);
+    }
+  }
+  return graph;
+}
+
+/**
+ * Checks whether a module URL can be resolved (and so hinted) by this module. Bare specifiers, that are resolved by an
+ * import map, can't be.
+ * @param {string} url - The URL, as imported
+ * @returns {boolean}
+ */
+function isResolvable(url) {
+  return /^(\.{0,2}\/|[a-z][a-z\d+.-]*:)/i.test(url);
+}
+
+/**
+ * Adds a resource hint (a link element) to the document head, once for each URL. The link gets the CSP nonce.
+ * @param {string} rel - 'modulepreload' or 'prefetch'
+ * @param {string} url - The URL to hint
+ * @param {string} [integrity] - SRI hash the (preloaded) module must match
+ */
+function addHint(rel, url, integrity) {
+  if (resourceHints.has(`${rel} ${url}`) || resourceHints.has(`modulepreload ${url}`)) return;
+  resourceHints.add(`${rel} ${url}`);
+  const link = document.createElement('link');
+  link.rel = rel;
+  link.href = url;
+  if (rel === 'prefetch') {
+    link.as = 'script';
+    link.setAttribute('fetchpriority', 'low');
+  }
+  if (integrity) {
+    link.integrity = integrity;
+  }
+  const nonce = cspNonce();
+  if (nonce) {
+    link.nonce = nonce;
+  }
+  document.head.appendChild(link);
+}
+
+/**
+ * Preloads a module that has an SRI hash in the integrity map, and the modules it imports (according to the dependency
+ * manifest) that have one, using modulepreload links with an integrity attribute. The import then uses the preloaded
+ * (and verified) modules, as long as their URLs are identical.
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @param {string} url - The URL the module is about to be imported from
+ * @returns {Promise} - Resolves once the links have been added
+ */
+function preloadVerified(key, url) {
+  if (!Object.keys(settings.security.integrity).length) {
+    return Promise.resolve();
+  }
+  if (integrityOf(key)) {
+    addHint('modulepreload', new URL(url, import.meta.url).href, integrityOf(key));
+  }
+  return loadManifest().then((entries) => {
+    if (entries) {
+      manifestGraph(entries, key).forEach((imported) => integrityOf(imported) && addHint('modulepreload', manifestUrl(imported), integrityOf(imported)));
+    }
+  });
+}
+
+/**
+ * Adds resource hints for modules about to be loaded: modulepreload hints for modules that are imported right away
+ * (so their dependencies from the manifest are fetched in parallel, instead of one import level at a time), and
+ * low-priority prefetch hints for lazy and triggered modules, once the browser is idle. Prefetching is skipped when
+ * the visitor prefers to save data. Bare specifiers (resolved by an import map) can't be hinted, and are skipped, just
+ * like modules that aren't allowed.
+ * @param {string[]} eager - Keys of the modules that are imported right away
+ * @param {string[]} waiting - Keys of the modules that are waiting for visibility or another load trigger
+ */
+function hintModules(eager, waiting) {
+  const connection = navigator.connection || {};
+  const prefetch = settings.prefetch && !connection.saveData && !/2g/.test(connection.effectiveType || '');
+  const hintable = (key) => isResolvable(importUrl(key)) && isTrusted(registry[key].path);
+  const hint = (rel, keys) => loadManifest().then((entries) => {
+    const integrity = (key) => (rel === 'modulepreload') ? integrityOf(key) : undefined;
+    for (const key of keys.filter(hintable)) {
+      addHint(rel, new URL(importUrl(key), import.meta.url).href, integrity(key));
+      if (entries) {
+        manifestGraph(entries, key).forEach((url) => url !== key && addHint(rel, manifestUrl(url), integrity(url)));
+      }
+    }
+  });
+  if (settings.preload && eager.length) {
+    hint('modulepreload', eager);
+  }
+  if (prefetch && waiting.length) {
+    onIdle(() => hint('prefetch', waiting.filter((key) => !importedModules[key])));
+  }
+}
+
+/**
+ * Claims elements for a module, skipping elements that were already claimed earlier, or that are no longer part of
+ * the document (or of a DocumentFragment that is being scanned), and registers any fallbacks the (freshly claimed) elements specify for it.
+ * @param {string} path - The module path, as specified in data-requires
+ * @param {Element[]} elements - The requiring elements
+ * @returns {[string, Element[]]} - The module's key, and the freshly claimed elements
+ */
+function claimAll(path, elements) {
+  const key = moduleKey(path);
+  const attached = (element) => element.isConnected || element.getRootNode().nodeType === Node.DOCUMENT_FRAGMENT_NODE;
+  const fresh = elements.filter((element) => attached(element) && claim(element, key));
+  fresh.forEach((element) => {
+    addFallbacks(key, path, element);
+    registry[key].waiting.add(element);
+  });
+  return [key, fresh];
+}
+
+/**
+ * Holds back the elements of scanned modules that require consent (data-requires-consent="analytics") the visitor
+ * hasn't given (yet). They get the 'consent' state, and are processed again once consent is granted (see
+ * onConsentChange). Modules waiting for consent are never prefetched.
+ * @param {object} sorted - Scanned modules, keyed by path, holding the requiring elements
+ * @param {object[]} waiting - The waiting modules (see processModules), to add the held modules to
+ * @returns {object} - The modules, keyed by path, holding only the elements that may load
+ */
+function holdForConsent(sorted, waiting) {
+  const allowed = {};
+  for (const [path, elements] of Object.entries(sorted)) {
+    const key = moduleKey(path);
+    const held = {};
+    for (const element of elements) {
+      const required = element.dataset.requiresConsent;
+      if (required) {
+        watchConsent();
+        consentElements.add(element);
+      }
+      if (required && !consent.isGranted(required) && !isClaimed(element, key)) {
+        setState(element, key, 'consent');
+        (held[required.trim()] = held[required.trim()] || []).push(element);
+      } else {
+        (allowed[path] = allowed[path] || []).push(element);
+      }
+    }
+    Object.entries(held).forEach(([categories, heldElements]) => {
+      waiting.push({path, key, trigger: `consent:${categories}`, elements: heldElements.length});
+    });
+  }
+  return allowed;
+}
+
+/**
+ * Handles consent changes: elements that were held back for consent that is now granted are loaded, and elements
+ * whose consent was revoked are torn down (and held back again).
+ */
+function onConsentChange() {
+  const elements = [...consentElements].filter((element) => {
+    //forget elements that were removed from the DOM
+    if (!element.isConnected) consentElements.delete(element);
+    return element.isConnected;
+  });
+  const revoked = elements.filter((element) => claimedElements.has(element) && !consent.isGranted(element.dataset.requiresConsent));
+  const granted = elements.filter((element) => !claimedElements.has(element) && consent.isGranted(element.dataset.requiresConsent));
+  if (revoked.length) {
+    hnlLogger.info(NAME, `Consent revoked for ${revoked.length} requiring element(s).`);
+    teardown(revoked);
+  }
+  const {modules, deferred} = scanElements('requires', [...granted, ...revoked].filter((element) => element.dataset.requires));
+  loadReport(processModules(modules, deferred), performance.now()).then((report) => {
+    if (granted.length) {
+      hnlLogger.info(NAME, `Consent granted for ${granted.length} requiring element(s).`);
+      hnlLogger.info(NAME, report);
+    }
+  });
+}
+
+/**
+ * Starts listening for consent changes, and for clicks on placeholder buttons that grant consent
+ * (<button data-consent-grant="analytics">), once. Without a value, data-consent-grant grants the consent required by
+ * the closest requiring element.
+ */
+function watchConsent() {
+  if (consentWatched) return;
+  consentWatched = true;
+  consent.onChange(onConsentChange);
+  document.addEventListener('click', (event) => {
+    const button = event.composedPath().find((node) => node instanceof Element && node.matches('[data-consent-grant]'));
+    if (!button) return;
+    const categories = button.dataset.consentGrant || button.closest('[data-requires-consent]')?.dataset.requiresConsent;
+    if (categories) {
+      event.preventDefault();
+      consent.grant(categories);
+    }
+  });
+}
+
+/**
+ * Hands scanned modules to the importer (or the lazy watcher, or the load triggers), for all freshly claimed elements.
+ * @param {object} modules - Modules to load directly, keyed by path, holding the requiring elements
+ * @param {object} deferred - Modules to load lazily, keyed by path, holding the requiring elements
+ * @returns {{initPromises: Promise[], waiting: object[]}} - The pending (direct) initializations, and the modules
+ * that are waiting for visibility or another load trigger (their path, key, trigger and number of elements)
+ */
+function processModules(modules, deferred) {
+  const initPromises = [];
+  const waiting = [];
+  const triggered = new Map();
+  const eagerModules = [];
+  modules = holdForConsent(modules, waiting);
+  deferred = holdForConsent(deferred, waiting);
+  for (const [path, elements] of Object.entries(modules)) {
+    const [key, fresh] = claimAll(path, elements);
+    const eager = [];
+    const visible = [];
+    for (const element of fresh) {
+      const trigger = element.dataset.requiresOn;
+      if (!trigger) {
+        eager.push(element);
+      } else if (trigger.trim() === 'visible') {
+        visible.push(element);
+      } else {
+        triggered.set(element, [...(triggered.get(element) || []), key]);
+      }
+    }
+    if (eager.length) eagerModules.push([key, eager, elementsPriority(eager)]);
+    if (visible.length) watchDeferred(key, visible);
+    const triggers = {visible: visible.length};
+    fresh.filter((element) => triggered.has(element)).forEach((element) => {
+      const trigger = element.dataset.requiresOn.trim();
+      triggers[trigger] = (triggers[trigger] || 0) + 1;
+    });
+    Object.entries(triggers).filter(([, count]) => count).forEach(([trigger, count]) => {
+      waiting.push({path, key, trigger, elements: count});
+    });
+  }
+  //initialize in order of priority, so high-priority modules start loading first
+  eagerModules.sort((a, b) => priorities.indexOf(a[2]) - priorities.indexOf(b[2]));
+  eagerModules.forEach(([key, eager, priority]) => initPromises.push(initModule(key, eager, false, priority)));
+  triggered.forEach((keys, element) => watchTrigger(element, keys, element.dataset.requiresOn));
+  for (const [path, elements] of Object.entries(deferred)) {
+    const [key, fresh] = claimAll(path, elements);
+    if (fresh.length) {
+      watchDeferred(key, fresh);
+      waiting.push({path, key, trigger: 'visible', elements: fresh.length});
+    }
+  }
+  //low-priority modules are only prefetched, so they don't compete with the others
+  const [low, other] = [eagerModules.filter((module) => module[2] === 'low'), eagerModules.filter((module) => module[2] !== 'low')];
+  const prefetch = waiting.filter((module) => !module.trigger.startsWith('consent:')).map((module) => module.key);
+  hintModules(other.map(([key]) => key), [...new Set([...low.map(([key]) => key), ...prefetch])]);
+  return {initPromises, waiting};
+}
+
+/**
+ * Waits for the given initializations, and compiles a load report.
+ * @param {{initPromises: Promise[], waiting: object[]}} processed - The result of processModules
+ * @param {number} start - Timestamp (performance.now) of the start of loading
+ * @returns {Promise<object>} - The report, holding the modules that were loaded, that failed and that are deferred
+ * (waiting for visibility or another trigger), element counts, and timings.
+ */
+function loadReport({initPromises, waiting}, start) {
+  return Promise.all(initPromises).then((outcomes) => {
+    const end = performance.now();
+    const loaded = outcomes.filter((outcome) => outcome.state === 'ready');
+    const failed = outcomes.filter((outcome) => outcome.state === 'failed');
+    const count = (list) => list.reduce((total, item) => total + item.elements, 0);
+    return {
+      loaded,
+      failed,
+      deferred: waiting,
+      elements: {
+        total: count(outcomes) + count(waiting),
+        initialized: count(loaded),
+        failed: count(failed),
+        deferred: count(waiting),
+      },
+      timings: {start, end, duration: end - start},
+    };
+  });
+}
+
+/**
+ * Collects requiring elements (the given nodes and all requiring elements inside them), and loads their modules.
+ * @param {Iterable<Node>} nodes - The nodes to collect from
+ * @returns {Promise<object>} - The load report (see loadReport)
+ */
+function loadWithin(nodes) {
+  const start = performance.now();
+  const found = new Set();
+  for (const node of nodes) {
+    if (node.nodeType !== Node.ELEMENT_NODE) continue;
+    if (settings.shadowDom) {
+      querySelectorAllDeep(node, '[data-requires]').forEach((element) => found.add(element));
+      continue;
+    }
+    if (node.matches('[data-requires]')) found.add(node);
+    node.querySelectorAll('[data-requires]').forEach((element) => found.add(element));
+  }
+  const {modules, deferred} = scanElements('requires', found);
+  return loadReport(processModules(modules, deferred), start);
+}
+
+/**
+ * Collects an element and all of its descendants that were claimed for one or more modules.
+ * @param {Element} element - The element to start from
+ * @returns {Element[]}
+ */
+function claimedWithin(element) {
+  const within = settings.shadowDom ? querySelectorAllDeep(element, '[data-requires]') : element.querySelectorAll('[data-requires]');
+  return [...new Set([element, ...within])].filter((el) => claimedElements.has(el));
+}
+
+/**
+ * Releases elements from their modules, and calls each module's exported destroy function (if it has one) with the
+ * elements that were initialized for it. Elements that were still waiting for their module are simply dropped.
+ * Released elements can be initialized again later on.
+ * @param {Element[]} elements - The elements to tear down
+ * @returns {string[]} - The keys (resolved URLs) of the modules that were torn down
+ */
+function teardown(elements) {
+  const destroyable = {};
+  for (const element of elements) {
+    for (const key of claimedElements.get(element) || []) {
+      registry[key].elements.delete(element);
+      registry[key].waiting.delete(element);
+    }
+    for (const key of initializedElements.get(element) || []) {
+      (destroyable[key] = destroyable[key] || []).push(element);
+    }
+    claimedElements.delete(element);
+    initializedElements.delete(element);
+    consentElements.delete(element);
+    clearState(element);
+    unwatchLazy(element);
+    triggerElements.get(element)?.();
+  }
+  for (const [key, destroyed] of Object.entries(destroyable)) {
+    const module = loadedModules[key];
+    if (typeof module?.destroy === 'function') {
+      hnlLogger.info(moduleName(module, key), ` Destroying for ${destroyed.length} element(s).`);
+      try {
+        module.destroy.call(module, destroyed);
+      } catch (error) {
+        hnlLogger.error(NAME, error);
+      }
+    }
+  }
+  return Object.keys(destroyable);
+}
+
+/**
+ * Starts observing the DOM for elements with 'data-requires' that are inserted (or get the attribute) after the
+ * initial scan, e.g. AJAX fragments or modals. Their modules are imported if needed, and init is called with
+ * only the newly found elements. Requiring elements that are removed from the DOM are torn down.
+ * @param {Document|Element|DocumentFragment} root - The node to observe (for a document, its body)
+ */
+function observeDom(root) {
+  const target = (root.nodeType === Node.DOCUMENT_NODE) ? root.body : root;
+  if (observedRoots.has(target)) return;
+  observedRoots.add(target);
+  domObserver = domObserver || new MutationObserver((mutations) => {
+    const added = new Set();
+    const removed = new Set();
+    for (const mutation of mutations) {
+      mutation.removedNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) claimedWithin(node).forEach((element) => removed.add(element));
+      });
+      const nodes = (mutation.type === 'attributes') ? [mutation.target] : mutation.addedNodes;
+      nodes.forEach((node) => added.add(node));
+    }
+    //elements that were only moved around are still connected
+    const detached = [...removed].filter((element) => !element.isConnected);
+    if (detached.length) {
+      hnlLogger.info(NAME, `${detached.length} requiring element(s) removed from the DOM.`);
+      teardown(detached);
+    }
+    if (added.size) {
+      if (settings.shadowDom) {
+        added.forEach((node) => node.nodeType === Node.ELEMENT_NODE && shadowRootsWithin(node).forEach(observeDom));
+      }
+      loadWithin(added).then((report) => {
+        if (report.elements.total) {
+          hnlLogger.info(NAME, `${report.elements.total} requiring element(s) added to the DOM.`);
+          hnlLogger.info(NAME, report);
+        }
+      });
+    }
+  });
+  domObserver.observe(target, {childList: true, subtree: true, attributes: true, attributeFilter: ['data-requires']});
+}
+
+/**
+ * Re-imports a module that changed (see watchChanges) under a fresh version. If the module exports 'destroy', it is
+ * torn down for its elements, and the new version is initialized for the same elements, without reloading the page.
+ * Modules without 'destroy' can't be swapped safely, so the page is reloaded instead.
+ * @param {string} key - The module's key (its resolved URL, see moduleKey)
+ * @returns {Promise} - Resolves once the new version has been initialized
+ */
+function reloadModule(key) {
+  const record = registry[key];
+  const current = loadedModules[key];
+  if (typeof current.destroy !== 'function') {
+    hnlLogger.info(record.name, ' Changed, but has no destroy function. Reloading the page.');
+    window.location.reload();
+    return Promise.resolve();
+  }
+  //relative URLs (from rewritePath) are imported relative to this module
+  const url = new URL(record.url || key, import.meta.url);
+  url.searchParams.set('v', Date.now().toString(36));
+  return import(url.href).then((module) => {
+    const elements = [...record.elements].filter((element) => element.isConnected);
+    hnlLogger.info(record.name, ` Changed, re-initializing for ${elements.length} element(s).`);
+    try {
+      current.destroy.call(current, elements);
+    } catch (error) {
+      hnlLogger.error(NAME, error);
+    }
+    //later initializations (e.g. of lazy elements) use the new version as well
+    importedModules[key] = Promise.resolve(module);
+    loadedModules[key] = module;
+    record.url = url.href;
+    record.name = moduleName(module, key);
+    if (typeof module.init === 'function' && elements.length) {
+      module.init.call(module, elements, elements.map((element) => moduleOptions(element, module, record.name)));
+    }
+    elements.forEach((element) => dispatchLifecycle(element, 'init', {name: record.name, key, module, reloaded: true}));
+  }).catch((error) => {
+    //most likely a syntax error while editing, keep the current version until the next change
+    hnlLogger.error(NAME, error);
+  });
+}
+
+/**
+ * Listens for file changes pushed by the DOMule dev server (see the serve command of the DOMule CLI), over
+ * Server-Sent Events. Changed modules are re-initialized in place (see reloadModule), modules that weren't imported yet
+ * are left alone (they are fetched fresh once needed), and any other change (e.g. to a module's static imports, or to
+ * styles) reloads the page.
+ * @param {string|boolean} url - The URL of the dev server's events endpoint, or true for '/__domule/events'
+ */
+function watchChanges(url) {
+  if (liveReloadSource || typeof EventSource === 'undefined') return;
+  const source = new URL((url === true) ? '/__domule/events' : url, document.baseURI);
+  liveReloadSource = new EventSource(source.href);
+  liveReloadSource.addEventListener('change', (event) => {
+    const changed = new URL(JSON.parse(event.data).path, source).href;
+    if (loadedModules[changed]) {
+      reloadModule(changed);
+    } else if (!registry[changed]) {
+      window.location.reload();
+    }
+  });
+  hnlLogger.info(NAME, `Live reload: listening for changes at ${source.href}`);
+}
+
+//attributes of the custom element (see defineElement), and the data-requires attributes they stand for
+const elementAttributes = {
+  src: 'data-requires',
+  lazy: 'data-requires-lazy',
+  'lazy-margin': 'data-requires-lazy-margin',
+  on: 'data-requires-on',
+  priority: 'data-requires-priority',
+  fallback: 'data-requires-fallback',
+  options: 'data-requires-options',
+  consent: 'data-requires-consent',
+};
+
+/**
+ * Defines a custom element that requires a module, as an alternative to the 'data-requires' attribute (which some
+ * editors strip): <domule-module src="%assets%/hnl.slider.mjs" lazy></domule-module>. Its attributes ('src', 'lazy',
+ * 'lazy-margin', 'on', 'priority', 'fallback', 'options' and 'consent') are copied to the matching data-requires
+ * attributes, so it loads like any other requiring element. It loads when connected, and is torn down when
+ * disconnected (but not when it is only moved around). Changing (or removing) any of its attributes reloads it with
+ * the new ones, so changing 'src' swaps the module, and removing it only tears it down.
+ * @param {string|boolean} name - The element's tag name, or true for 'domule-module'
+ */
+function defineElement(name) {
+  name = (name === true) ? 'domule-module' : name;
+  if (typeof customElements === 'undefined' || customElements.get(name)) return;
+  //elements whose attributes were copied, so later changes apply (changes before that, e.g. on upgrade, don't need to)
+  const connected = new WeakSet();
+  customElements.define(name, class extends HTMLElement {
+    static get observedAttributes() {
+      return Object.keys(elementAttributes);
+    }
+
+    connectedCallback() {
+      for (const [attribute, data] of Object.entries(elementAttributes)) {
+        if (!this.hasAttribute(attribute)) {
+          //the attribute may have been removed since it was last copied
+          this.removeAttribute(data);
+          continue;
+        }
+        //boolean attributes ('lazy') are present, but empty
+        this.setAttribute(data, (attribute === 'lazy' && !this.getAttribute(attribute)) ? 'true' : this.getAttribute(attribute));
+      }
+      connected.add(this);
+      //a scan that is already under way claims the element first, and load skips it
+      queueMicrotask(() => this.isConnected && this.hasAttribute('data-requires') && load(this));
+    }
+
+    disconnectedCallback() {
+      queueMicrotask(() => !this.isConnected && unload(this));
+    }
+
+    attributeChangedCallback(attribute, previous, current) {
+      if (previous === current || !this.isConnected || !connected.has(this)) return;
+      unload(this);
+      this.connectedCallback();
+    }
+  });
 }
 
 /**
@@ -63,81 +1529,248 @@ function moduleName(module, path) {
  * Has support for lazy loading via 'data-requires-lazy="true"' attributes,
  * meaning the module will only get loaded when the requiring element has become visible in the browser's viewport.
  * On loading, it will try invoking the module's exported 'init' function, if it has one.
+ * Elements are never initialized twice for the same module, so calling this more than once is safe.
  *
  * Example:
  * <div data-requires="./modules/hnl.colortool.mjs" data-require-lazy="true"></div>
  *
+ * Example (using the returned Promise instead of a callback):
+ * dynImports({assets: '/js/modules/'}).then((report) => console.log(report.loaded, report.failed, report.deferred));
+ *
  * @param {object} paths - Paths for resolving %location% (optional)
  * @param {function} [callback] - A callback function to be executed after all dynamic imports have finished loading.
+ * Lazy (and otherwise triggered) modules are not waited for. Receives the load report.
+ * @param {object} [options] - Options (optional), can be passed as the first argument when it holds a root
+ * @param {Document|Element|DocumentFragment} [options.root=document] - The node to scan: a subtree (e.g. a fragment
+ * that was just swapped in), an iframe's document or a DocumentFragment. Other options apply to all later scans too.
+ * @param {boolean} [options.observe=false] - Keep watching the DOM (or the root) for requiring elements that are
+ * added later on
+ * @param {boolean} [options.shadowDom=false] - Also scan (and observe) open shadow roots, including declarative shadow
+ * DOM ('<template shadowrootmode="open">')
+ * @param {string} [options.lazyMargin='0px'] - Default preload distance for lazy elements (IntersectionObserver
+ * rootMargin), can be overridden per element using 'data-requires-lazy-margin'
+ * @param {boolean} [options.lazyBatches=false] - Initialize lazy modules only for the elements that actually came into
+ * view (in batches), instead of for all elements that were deferred together
+ * @param {number} [options.retries=2] - Number of times a failed import is retried, for each path (and fallback)
+ * @param {number} [options.retryDelay=500] - Delay before the first retry in ms, doubled for each next retry
+ * @param {boolean} [options.preload=true] - Add modulepreload hints for modules that are imported right away
+ * @param {boolean} [options.prefetch=true] - Add low-priority prefetch hints for lazy and triggered modules, when idle
+ * @param {object|string} [options.manifest] - Dependency manifest (or its URL), to preload modules' full import graph
+ * @param {string|function} [options.version] - Versioning strategy for module URLs: a build version string,
+ * 'manifest' (per-module hashes from the manifest), 'timestamp' (once per page load), or a function returning a
+ * module's version. Defaults to no versioning. Without a manifest, static imports aren't versioned (see
+ * versionOf).
+ * @param {number} [options.concurrency=Infinity] - Maximum number of modules imported at the same time. Waiting
+ * imports start in order of priority ('data-requires-priority="high|normal|low"')
+ * @param {string|boolean} [options.customElement=false] - Define a custom element that requires a module, as an
+ * alternative to data-requires: true for <domule-module src="..." lazy>, or a tag name of your own (see defineElement)
+ * @param {string|boolean} [options.liveReload=false] - URL of the DOMule dev server's events endpoint (or true, for
+ * '/__domule/events' on the same origin). Changed modules are re-imported, and re-initialized in place if they export
+ * 'destroy'. For development only.
+ * @param {object} [options.consent] - Where consent for 'data-requires-consent' is stored (see consent.configure in
+ * hnl.consent): {storage: 'localStorage'|'cookie'|false, key: 'domule-consent', days: 365}
+ * @param {object} [options.security] - Security settings
+ * @param {string[]} [options.security.allow] - Allowed module sources: path aliases ('%assets%'), origins, or 'self'.
+ * Modules (and fallbacks) from anywhere else are refused. Without an allowlist, all modules are allowed. Other entries
+ * (like path prefixes) are ignored, with a warning.
+ * @param {object} [options.security.integrity] - SRI hashes ('sha384-...'), by module path or URL. Enforced by
+ * preloading the module with an integrity attribute.
+ * @param {string} [options.security.nonce] - CSP nonce for added link tags. Defaults to a global SITE_NONCE, or the
+ * nonce of the first script that has one.
+ * @returns {Promise<object>} - Resolves (with the load report) after all direct imports have finished loading. The
+ * report holds the modules that were 'loaded', that 'failed' and that are 'deferred' (waiting for visibility or
+ * another trigger), the number of 'elements' for each of those, and 'timings'.
  */
-export function dynImports(paths = {}, callback) {
+export function dynImports(paths = {}, callback, options = {}) {
+  const start = performance.now();
   // If the first argument is a function, treat it as a callback
   [callback, paths] = typeof paths === 'function' ? [paths, {}] : [callback, paths];
-  const dynImportPaths = { ...defaultPaths, ...paths };
-  domScanner('requires', function (modules, deferredModules, totals) {
-    const importPromises = [];
-
-    // Process modules found in DOM
-    for (const [key, elements] of Object.entries(modules)) {
-      const path = rewritePath(key, dynImportPaths);
-      hnlLogger.info(NAME, `Importing ${path.split('?')[0]}...`);
-
-      importPromises.push(
-          import(path)
-              .then((module) => {
-                const name = moduleName(module, key);
-                hnlLogger.info(name, ' Imported.');
-                if (typeof module.init === 'function') {
-                  hnlLogger.info(name, ` Initializing for ${elements.length} element(s).`);
-                  module.init.call(module, elements);
-                }
-              })
-              .catch((error) => {
-                hnlLogger.error(NAME, error);
-              })
-      );
-    }
-
-    // Wait for all imports to finish
-    Promise.allSettled(importPromises).then(() => {
+  // If the callback is omitted, treat an object as the options
+  [callback, options] = (callback && typeof callback === 'object') ? [undefined, callback] : [callback, options];
+  // If the first argument holds a root node, treat it as the options
+  [paths, options] = (paths.root && typeof paths.root === 'object') ? [{}, paths] : [paths, options];
+  const {root = document, security = {}, consent: consentOptions, ...rest} = options;
+  if (consentOptions) {
+    consent.configure(consentOptions);
+  }
+  Object.assign(dynImportPaths, paths);
+  Object.assign(settings, rest);
+  Object.assign(settings.security, security);
+  if (security.allow) {
+    settings.security.allow = validAllowlist(security.allow);
+  }
+  if (rest.version && rest.version !== 'manifest' && !settings.manifest) {
+    //only the manifest tells which modules are imported statically, so their imports can be mapped (manifestImportMap)
+    hnlLogger.warn(NAME, 'Versioning without a dependency manifest: modules that are also imported statically are instantiated twice.');
+  }
+  if (settings.customElement) {
+    defineElement(settings.customElement);
+  }
+  let loaded;
+  domScanner(root, 'requires', function (modules, deferredModules, totals) {
+    // Process modules found in DOM, and wait for all imports to finish
+    loaded = loadReport(processModules(modules, deferredModules), start).then((report) => {
       hnlLogger.info(NAME, 'All dynamic imports finished loading.');
-      hnlLogger.info(NAME, { modules: { ...modules }, deferredModules: { ...deferredModules } });
+      hnlLogger.info(NAME, report);
       if (typeof callback === 'function') {
-        callback.call(this);
+        callback.call(this, report);
       }
+      return report;
     });
+  }, false, settings.shadowDom);
 
-    // Process deferred modules (lazy-loaded)
-    for (const [key, elements] of Object.entries(deferredModules)) {
-      const watchModules = () => {
-        for (const element of elements) {
-          isVisible(element, (visible) => {
-            if (!visible || !deferredModules[key]) return;
-
-            hnlLogger.info(NAME, 'Element visible, loading lazy module and clearing watcher.');
-            const path = rewritePath(key, dynImportPaths);
-
-            import(path)
-                .then((module) => {
-                  const name = moduleName(module, key);
-                  hnlLogger.info(name, ' Imported (lazy).');
-                  if (typeof module.init === 'function') {
-                    hnlLogger.info(name, ` Initializing (lazy) for ${elements.length} element(s).`);
-                    module.init.call(module, elements);
-                  }
-                  delete deferredModules[key];
-                })
-                .catch((error) => {
-                  hnlLogger.error(NAME, error);
-                });
-
-            eventHandler.removeListener('docShift', watchModules);
-          });
-        }
-      };
-
-      // Bind to document shifts (scrolling, resizing, etc.)
-      eventHandler.addListener('docShift', watchModules);
+  if (settings.liveReload) {
+    watchChanges(settings.liveReload);
+  }
+  if (settings.observe) {
+    observeDom(root);
+    if (settings.shadowDom) {
+      shadowRootsWithin(root).forEach(observeDom);
     }
+  }
+  return loaded;
+}
+
+/**
+ * Loads the modules required by an element, and by any requiring elements inside it. Useful for markup that was
+ * added to the page later on, when the DOM is not being observed. Elements that were initialized already are skipped.
+ *
+ * Example:
+ * load(document.querySelector('#myModal')).then((report) => console.log(report));
+ *
+ * @param {Element} element - The element to load
+ * @returns {Promise<object>} - Resolves with the load report (see dynImports) after all direct imports have finished
+ */
+export function load(element) {
+  //not instanceof Element, which is false for elements of other documents (e.g. an iframe's)
+  if (element?.nodeType !== Node.ELEMENT_NODE) {
+    throw new TypeError('Not a valid node');
+  }
+  return loadWithin([element]);
+}
+
+/**
+ * Loads a module programmatically, and (optionally) initializes it for the given elements, as if they had required it.
+ * Uses the same path rules as data-requires.
+ *
+ * Example:
+ * loadModule('%assets%/hnl.slider.mjs', [mySlider]).then((module) => module.doSomething());
+ *
+ * @param {string} path - The module path, e.g. '%assets%/hnl.slider.mjs'
+ * @param {Element[]} [elements=[]] - Elements to initialize the module for (skipped if initialized already)
+ * @returns {Promise<object>} - Resolves with the module after it has been initialized, rejects if it failed
+ */
+export function loadModule(path, elements = []) {
+  const [key, fresh] = claimAll(path, [...elements]);
+  return initModule(key, fresh).then((outcome) => {
+    if (outcome.state === 'failed') throw outcome.error;
+    return loadedModules[key];
   });
 }
+
+/**
+ * Waits for a module to be initialized, whether it was required by elements, triggered, lazy or loaded
+ * programmatically. Resolves right away if it already is. Rejects (with the error) if the module fails to load or
+ * initialize, or if it already failed (and isn't being loaded again). Note that a module that fails to import can
+ * only be recognized by its path or file name, as its exported NAME is unknown.
+ *
+ * Example:
+ * whenReady('scrollSpy').then((module) => { ... });
+ *
+ * @param {string} module - The module's name (its exported NAME, or its file name) or its path (any %alias% in it
+ * should already be known, i.e. passed to dynImports)
+ * @returns {Promise<object>} - Resolves with the module, rejects if it failed
+ */
+export function whenReady(module) {
+  //paths are recognized by their slashes or aliases
+  const id = /[\/%]/.test(module) ? resolveKey(module) : module;
+  const record = registry[id] || Object.values(registry).find((entry) => entry.name === id);
+  if (!readyModules[id] && record?.state === 'failed') {
+    return Promise.reject(record.error);
+  }
+  return readyEntry(id).promise;
+}
+
+/**
+ * Creates a read-only snapshot of a module's registry record.
+ * @param {object} record - The registry record
+ * @returns {object} - The snapshot
+ */
+function snapshot(record) {
+  const module = loadedModules[record.key] || null;
+  return Object.freeze({
+    name: record.name,
+    key: record.key,
+    path: record.path,
+    url: record.url,
+    state: record.state,
+    elements: [...record.elements],
+    waiting: [...record.waiting],
+    dependencies: [...(dependencyGraph[record.key] || [])],
+    exports: module ? Object.keys(module) : [],
+    module,
+    timings: {...record.timings},
+    error: record.error,
+  });
+}
+
+/**
+ * Lists all modules that were encountered (in data-requires or DEPENDS), with their state:
+ * - 'pending': known, but not requested yet (e.g. lazy modules waiting for visibility)
+ * - 'loading': being imported
+ * - 'loaded': imported, but not initialized (yet), e.g. dependencies that no element requires
+ * - 'ready': initialized
+ * - 'failed': failed to load or initialize (see 'error')
+ *
+ * Each entry also holds the module's name, key (resolved URL), path (as specified), url (as imported), the elements
+ * it was initialized for, the elements still waiting for it, its dependencies, its exports (names, and the module
+ * itself) and timings (performance.now timestamps and durations, in ms).
+ *
+ * Example:
+ * getModules().filter((module) => module.state === 'pending');
+ *
+ * @returns {object[]} - Read-only snapshots of all modules
+ */
+export function getModules() {
+  return Object.values(registry).map(snapshot);
+}
+
+/**
+ * Gets a single module from the registry (see getModules).
+ * @param {string} module - The module's name (its exported NAME, or its file name) or its path
+ * @returns {object|null} - A read-only snapshot of the module, or null if it is unknown
+ */
+export function getModule(module) {
+  const record = /[\/%]/.test(module) ? registry[resolveKey(module)] : Object.values(registry).find((entry) => entry.name === module);
+  return record ? snapshot(record) : null;
+}
+
+/**
+ * Unloads an element: calls the exported destroy function of every module that was initialized for it (and for any
+ * requiring elements inside it), with the element(s) in question. Afterwards, the element can be initialized again.
+ *
+ * Example:
+ * unload(document.querySelector('#myModal'));
+ *
+ * @param {Element} element - The element to unload
+ * @returns {string[]} - The keys (resolved URLs) of the modules that were torn down
+ */
+export function unload(element) {
+  //not instanceof Element, which is false for elements of other documents (e.g. an iframe's)
+  if (element?.nodeType !== Node.ELEMENT_NODE) {
+    throw new TypeError('Not a valid node');
+  }
+  return teardown(claimedWithin(element));
+}
+
+//expose the public API globally, for debugging and QA tools
+window.DOMule = Object.assign(window.DOMule || {}, {
+  dynImports,
+  load,
+  loadModule,
+  unload,
+  whenReady,
+  getModules,
+  getModule,
+  consent,
+});
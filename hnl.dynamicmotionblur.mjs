@@ -1,4 +1,4 @@
-import { FpsCounter, EasedMeanCalculator } from "./hnl.helpers.mjs?debug=true";
+import { FpsCounter, EasedMeanCalculator } from "./hnl.helpers.mjs";
 
 /**
  * Dynamic Motion blur handler v4.3.0 - 27-09-2024
@@ -51,6 +51,27 @@ export function init(elements) {
 }
 
 
+/**
+ * Tear down the motion blur effect for elements: removes listeners, stops the FPS counter and removes the SVG filter.
+ * Called by the dynamic importer when the elements are removed from the DOM, or unloaded.
+ * @param {HTMLElement[]} elements - Array of elements to remove the effect from.
+ */
+export function destroy(elements) {
+  elements.forEach((elem) => {
+    const options = elem._motionBlur;
+    if (!options) return;
+    options.listeners.forEach(([event, listener]) => elem.removeEventListener(event, listener));
+    options.fpsCounter.stop();
+    cancelAnimationFrame(options.scrollerData.watcher);
+    clearTimeout(options.scrollerData.scrollEndTimer);
+    options.filter.remove();
+    elem.style.removeProperty("--blur-filter");
+    elem.classList.remove('hnl-scrolling', 'hnl-motionblurring');
+    delete elem._motionBlur;
+  });
+}
+
+
 /**
  * Set up the motion blur effect for a single element.
  * @param {HTMLElement} elem - The element to apply the effect.
@@ -70,13 +91,19 @@ function setupElement(elem, options) {
   // Set horizontal scrolling property based on the data attribute
   options.scrollerData.horizontal = (elem.dataset.scrollDirection === 'horizontal');
 
+  // Keep track of assigned listeners, so they can be removed on destroy
+  options.listeners = [];
+  elem._motionBlur = options;
+
   // Assign the scroll event listener
-  elem.addEventListener("scroll", (e) => {
+  const scrollListener = (e) => {
     handleScroll(elem, options, e);
-  });
+  };
+  elem.addEventListener("scroll", scrollListener);
+  options.listeners.push(["scroll", scrollListener]);
 
   // Initialize FPS Counter to update `options.fps`
-  new FpsCounter((fps)=> {
+  options.fpsCounter = new FpsCounter((fps)=> {
     options.fps = fps;
     //not used in this module, but useful for debugging, e.g. listening for 'fpsUpdate' and reading speed, blur, etc.
     elem.dispatchEvent(new CustomEvent('fpsUpdate', { detail: options, bubbles: true, cancelable: true }));
@@ -171,9 +198,11 @@ function handleScroll(elem, options, event) {
  */
 function setupEvents(elem, options) {
   for (const event in options.events) {
-    elem.addEventListener(event, (event) => {
+    const listener = (event) => {
       handleCustomEvent(event, elem, options);
-    });
+    };
+    elem.addEventListener(event, listener);
+    options.listeners.push([event, listener]);
   }
 }
 
@@ -297,7 +326,7 @@ function calcBlur(speed, shutter, fps = 60) {
 /**
  * Creates an SVG filter for the motion blur effect.
  * @param {Object} options - Configuration options for the blur effect.
- * @returns {Object} - An object with methods to manipulate the SVG filter.
+ * @returns {Object} - An object with methods to manipulate (and remove) the SVG filter.
  */
 function createSVGFilter(options) {
   const ns = 'http://www.w3.org/2000/svg';
@@ -348,6 +377,9 @@ function createSVGFilter(options) {
       animator.setAttribute('dur', `${transitionTime}ms`);
       animator.setAttribute('values', `${stdDeviation};0,0`);
       animator.beginElementAt(0);
+    },
+    remove: function () {
+      svg.remove();
     }
   }
 
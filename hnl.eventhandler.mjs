@@ -1,8 +1,7 @@
 /**
- * Event handler v2.5 (12-2023)
- * (C) hnldesign 2022-2023
+ * Event handler v2.6 (10-2026)
+ * (C) hnldesign 2022-2026
  *
- * @todo: rewrite this module to use WeakMaps and Sets to handle callback storage for more efficient memory management.
  * @todo: Check for potential race conditions when binding and unbinding events.
  *
  * Listens for events, provides ways to register and de-register event handlers
@@ -12,12 +11,21 @@
  * This module has no init, binds itself to window.eventHandler, and exports the handler
  *
  * Usage:
- * $__EventHandler.addListener('breakPointChange', function(e){
+ * function onBreakPointChange(e) {
  *   console.log('breakPointChange', e);
- * });
+ * }
+ * const unsubscribe = eventHandler.addListener('breakPointChange', onBreakPointChange);
  *
- * $__EventHandler.removeListener('breakPointChange', function(e){
- *   console.log('breakPointChange', e);
+ * unsubscribe();
+ * //or
+ * eventHandler.removeListener('breakPointChange', onBreakPointChange);
+ *
+ * Listeners are identified by their function (and optional id), so register named functions (or keep a reference)
+ * if you want to remove them later on. Options:
+ * eventHandler.addListener('scroll', onScroll, {
+ *   id: 'header',            //register the same function more than once, under different ids
+ *   once: true,              //remove the listener after its first call
+ *   signal: controller.signal //remove the listener when the AbortController aborts
  * });
  *
  * or use the shorthands for some, see bottom of code
@@ -36,6 +44,34 @@
  * startScroll
  * endScroll
  * breakPointChange - the only event that is allowed to run multiple times per cycle (animationFrame)
+ * idle - the browser is idle for the first time after the page has loaded (requestIdleCallback)
+ * online / offline - the connection is restored or lost (see navigator.onLine for the current state)
+ * colorSchemeChange - the preferred color scheme changes, receives {scheme: 'light' or 'dark'}
+ * reducedMotionChange - the reduced motion preference changes, receives {reduced: true or false}
+ * orientationChange - the screen's orientation changes, receives {orientation: 'portrait' or 'landscape', angle}
+ * fontsLoaded - all fonts (document.fonts) are loaded
+ * pageRestore - the page is restored from the back/forward cache (pageshow)
+ *
+ * docReady, docLoaded, imgsLoaded, idle and fontsLoaded happen only once: listeners added after that are called right
+ * away. colorSchemeChange, reducedMotionChange and orientationChange are sticky: listeners added later on are called
+ * right away, with the current state.
+ *
+ * Scroll, resize and docShift listeners receive the viewport's state (scroll position, direction, velocity, sizes,
+ * scroll percentage and breakpoint) as their second argument, read once per frame (see viewport):
+ * eventHandler.docShift((e, viewport) => header.classList.toggle('hidden', viewport.directionY === 'down'));
+ *
+ * The scroll and resize events (startScroll, scroll, endScroll, startResize, resize, endResize) are available for
+ * elements too, e.g. inner scroll containers:
+ * eventHandler.addListener('endScroll', onScrolled, {target: element});
+ * //or
+ * eventHandler.observe(element).addListener('endScroll', onScrolled);
+ *
+ * Modules can publish events of their own through the same (animationFrame-batched) dispatcher. Registering an event
+ * that exists already does nothing, so modules listening for an event can register it as well, in case they are
+ * loaded before the module that publishes it:
+ * eventHandler.registerEvent('sliderChange', {sticky: true});
+ * eventHandler.addListener('sliderChange', (detail) => console.log(detail.index));
+ * eventHandler.emit('sliderChange', {index: 2});
  */
 import './hnl.polyfills.mjs';
 import {debounceThis} from './hnl.debounce.mjs';
@@ -43,28 +79,69 @@ import {hnlLogger} from "./hnl.logger.mjs";
 
 export const NAME = 'eventHandler';
 
+//events whose listeners receive the viewport state (see _viewport) as their second argument
+const viewportEvents = ['docShift', 'startResize', 'resize', 'endResize', 'bodyResize', 'startScroll', 'scroll', 'endScroll'];
+//how long (in ms) the viewport state is current, outside of listeners (about a frame)
+const viewportFrame = 1000 / 60;
+//longer than this (in ms) between two scroll events, and scrolling has stopped in between, so there's no velocity
+const viewportGap = 100;
+
+//events that can be listened for on elements (e.g. scroll containers) too, see observe
+const elementEvents = ['startScroll', 'scroll', 'endScroll', 'startResize', 'resize', 'endResize'];
+
+/**
+ * Normalizes the options of addListener and removeListener, which can also be just an id.
+ * @param {string|object|null} options
+ * @returns {object}
+ */
+function listenerOptions(options) {
+  const {id = null, once = false, signal = null, target = null} = (options && typeof options === 'object') ? options : {id: options};
+  //the window is what the regular events listen to anyway
+  return {id, once, signal, target: (target === window) ? null : target};
+}
+
 class eventHandler {
 
   constructor() {
     const EventHandler = this;
 
-    this._callbacks = {
-      'docReady': {}, 'breakPointChange': {}, 'docShift': {},
-      'startResize': {}, 'resize' : {}, 'endResize': {}, 'bodyResize': {},
-      'docBlur': {}, 'docFocus': {},
-      'scroll': {}, 'startScroll': {}, 'endScroll': {},
-      'docLoaded' : {}, 'imgsLoaded' : {}
-    }
+    //registered listeners per event, in order of registration: {callback, id, once, unsubscribe}
+    this._callbacks = Object.fromEntries([
+      'docReady', 'breakPointChange', 'docShift',
+      'startResize', 'resize', 'endResize', 'bodyResize',
+      'docBlur', 'docFocus',
+      'scroll', 'startScroll', 'endScroll',
+      'docLoaded', 'imgsLoaded', 'idle', 'fontsLoaded', 'pageRestore',
+      'online', 'offline',
+      'colorSchemeChange', 'reducedMotionChange', 'orientationChange'
+    ].map((event) => [event, new Set()]));
     this._timestamps = {}
-    this._lastRunTimeStamps = {}
+    //the cycle (animationFrame) each callback last ran in, per id
+    this._lastRunTimeStamps = new WeakMap()
     //events that are allowed to run multiple callbacks per event, within the same cycle (animationFrame)
     this._allowMultiple = [
       'breakPointChange'
     ];
     this._singleExecution = [
-      'docReady','imgsLoaded','docLoaded'
+      'docReady','imgsLoaded','docLoaded','idle','fontsLoaded'
     ]
     this._states = {}
+    //events that call listeners added later on right away, with the last emitted detail
+    this._sticky = [
+      'colorSchemeChange','reducedMotionChange','orientationChange'
+    ]
+    //events registered by modules (see registerEvent), that can be emitted
+    this._customEvents = new Set()
+    this._emitted = new Set()
+    this._lastDetails = {}
+    //listeners on elements (see observe), per element: {callbacks, lastRunTimes, timestamps, unbind}
+    this._targets = new WeakMap()
+    this._resizeObserver = null
+    //the viewport state of the last frame it was needed in, and the current breakpoint
+    this._viewportState = null
+    this._breakpoint = null
+    //the scroll position and velocity at the last scroll event (see _sampleScroll)
+    this._scrollSample = null
 
     //ready events
     if (document.readyState !== "loading") {
@@ -88,6 +165,7 @@ class eventHandler {
     document.addEventListener('breakPointChange', function breakPointChanged(e) {
       if (e.detail.matches) {
         hnlLogger.info(NAME, 'Breakpoint matched: ' + e.detail.name);
+        EventHandler._breakpoint = e.detail.name;
       }
       EventHandler._runListeners(['breakPointChange'], e);
     })
@@ -115,6 +193,9 @@ class eventHandler {
       EventHandler._runListeners(['docShift', 'bodyResize'], e);
     }, {execStart: false, execWhile: false, execDone: true, threshold: 150} ))).observe(document.body);
 
+    //the scroll velocity is sampled on every scroll event, as the (throttled) scroll listeners run too far apart for it
+    window.addEventListener('scroll', () => EventHandler._sampleScroll(performance.now()), {passive: true});
+
     //debounced scroll events
     window.addEventListener('scroll', debounceThis((e)=> {
       EventHandler._timestamps['scroll'] = performance.now();
@@ -161,40 +242,203 @@ class eventHandler {
       EventHandler._runListeners(['imgsLoaded'], e);
       EventHandler._states.imgsLoaded = true;
     });
+    (document.fonts ? document.fonts.ready : Promise.resolve()).then((fonts) => {
+      hnlLogger.info(NAME, 'All fonts loaded.');
+      EventHandler._dispatch('fontsLoaded', fonts);
+    });
+
+    //environment events
+    const whenIdle = () => {
+      const idle = (deadline) => {
+        hnlLogger.info(NAME, 'Browser is idle.');
+        EventHandler._dispatch('idle', deadline);
+      };
+      ('requestIdleCallback' in window) ? requestIdleCallback(idle, {timeout: 2000}) : setTimeout(idle, 200);
+    };
+    (document.readyState === 'complete') ? whenIdle() : window.addEventListener('load', whenIdle);
+    window.addEventListener('online', (e) => {
+      hnlLogger.info(NAME, 'Back online.');
+      EventHandler._dispatch('online', e);
+    });
+    window.addEventListener('offline', (e) => {
+      hnlLogger.info(NAME, 'Offline.');
+      EventHandler._dispatch('offline', e);
+    });
+    window.addEventListener('pageshow', (e) => {
+      if (e.persisted) {
+        hnlLogger.info(NAME, 'Page restored from the back/forward cache.');
+        EventHandler._runListeners(['docShift'], e);
+        EventHandler._dispatch('pageRestore', e);
+      }
+    });
+
+    //preference and orientation events, which start out with the current state (they are sticky)
+    const watchMedia = (event, query, detail) => {
+      const mediaList = window.matchMedia(query);
+      EventHandler._lastDetails[event] = detail(mediaList.matches);
+      mediaList.addEventListener('change', (e) => {
+        hnlLogger.info(NAME, `${event}: ${JSON.stringify(detail(e.matches))}`);
+        EventHandler._dispatch(event, detail(e.matches));
+      });
+    };
+    watchMedia('colorSchemeChange', '(prefers-color-scheme: dark)', (matches) => ({scheme: matches ? 'dark' : 'light'}));
+    watchMedia('reducedMotionChange', '(prefers-reduced-motion: reduce)', (matches) => ({reduced: matches}));
+    const screenOrientation = window.screen?.orientation;
+    if (screenOrientation) {
+      //unlike the media query, screen.orientation also changes when rotating from one landscape side to the other
+      const orientation = () => ({
+        orientation: screenOrientation.type.startsWith('portrait') ? 'portrait' : 'landscape',
+        angle: screenOrientation.angle,
+      });
+      EventHandler._lastDetails['orientationChange'] = orientation();
+      screenOrientation.addEventListener('change', () => {
+        hnlLogger.info(NAME, `orientationChange: ${JSON.stringify(orientation())}`);
+        EventHandler._dispatch('orientationChange', orientation());
+      });
+    } else {
+      //older browsers (e.g. Safari before 16.4) only have the deprecated window.orientation, for the angle
+      watchMedia('orientationChange', '(orientation: portrait)', (matches) => ({
+        orientation: matches ? 'portrait' : 'landscape',
+        angle: (360 + (Number(window.orientation) || 0)) % 360,
+      }));
+    }
   }
 
   //private
 
-  _hashCode(string) {
-    let hash = 0;
-    for (let i = 0; i < string.length; i++) {
-      let char = string.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
+  //runs an event's listeners, after which listeners that are added later on catch up (for single execution and
+  //sticky events, see addListener)
+  _dispatch(event, detail) {
+    this._runListeners([event], detail);
+    requestAnimationFrame(() => {
+      this._lastDetails[event] = detail;
+      this._states[event] = true;
+    });
+  }
+
+  _findListener(listeners, callback, id) {
+    return [...listeners].find((listener) => listener.callback === callback && listener.id === id);
+  }
+
+  _target(element) {
+    if (!this._targets.has(element)) {
+      this._targets.set(element, {
+        callbacks: Object.fromEntries(elementEvents.map((event) => [event, new Set()])),
+        lastRunTimes: new WeakMap(),
+        timestamps: {},
+        unbind: null,
+      });
+    }
+    return this._targets.get(element);
+  }
+
+  //binds a single (debounced) scroll listener and resize observation to an element, for all of its listeners
+  _bindTarget(element, target) {
+    const run = (events, e) => this._runListeners(events, e, target.callbacks, target.lastRunTimes);
+    const lifecycle = (type, threshold) => [
+      debounceThis((e) => {
+        target.timestamps[type] = performance.now();
+        run([`start${type}`], e);
+      }, {execStart: true, execWhile: false, execDone: false}),
+      debounceThis((e) => {
+        run([type.toLowerCase()], e);
+      }, {execStart: false, execWhile: true, execDone: false, threshold}),
+      debounceThis((e) => {
+        e.TimeTaken = performance.now() - target.timestamps[type];
+        run([`end${type}`], e);
+      }, {execStart: false, execWhile: false, execDone: true}),
+    ];
+    const scrollHandlers = lifecycle('Scroll', 200);
+    const resizeHandlers = lifecycle('Resize');
+    const onScroll = (e) => scrollHandlers.forEach((handler) => handler(e));
+    //the observer reports an element's size as soon as it is observed, which isn't a resize
+    let observed = false;
+    target.onResize = (entry) => observed ? resizeHandlers.forEach((handler) => handler(entry)) : (observed = true);
+    this._resizeObserver = this._resizeObserver || new ResizeObserver((entries) => {
+      entries.forEach((entry) => this._targets.get(entry.target)?.onResize?.(entry));
+    });
+    element.addEventListener('scroll', onScroll, {passive: true});
+    this._resizeObserver.observe(element);
+    target.unbind = () => {
+      element.removeEventListener('scroll', onScroll);
+      this._resizeObserver.unobserve(element);
+      target.unbind = target.onResize = null;
+    };
+  }
+
+  //reads the viewport's state once per frame, so listeners don't have to (and don't each trigger layout)
+  _viewport(timeStamp) {
+    const previous = this._viewportState;
+    if (previous?.time === timeStamp) {
+      return previous;
     }
-    return Math.abs(hash).toString();
+    const scrollX = window.scrollX;
+    const scrollY = window.scrollY;
+    const height = window.innerHeight;
+    const documentHeight = document.documentElement.scrollHeight;
+    const deltaX = previous ? scrollX - previous.scrollX : 0;
+    const deltaY = previous ? scrollY - previous.scrollY : 0;
+    const sample = this._scrollSample;
+    const moving = sample && timeStamp - sample.time <= viewportGap;
+    this._viewportState = Object.freeze({
+      time: timeStamp,
+      scrollX,
+      scrollY,
+      deltaX,
+      deltaY,
+      directionX: deltaX ? (deltaX > 0 ? 'right' : 'left') : null,
+      directionY: deltaY ? (deltaY > 0 ? 'down' : 'up') : null,
+      //in px/ms
+      velocityX: moving ? sample.velocityX : 0,
+      velocityY: moving ? sample.velocityY : 0,
+      width: window.innerWidth,
+      height,
+      documentHeight,
+      //same as pageScrollPercentage in hnl.helpers
+      percentage: (documentHeight - height <= 0) ? 100 : Math.min(100, Math.max(0, (scrollY / (documentHeight - height)) * 100)),
+      breakpoint: this._breakpoint,
+    });
+    return this._viewportState;
+  }
+
+  //measures the scroll velocity (in px/ms) since the previous scroll event, see _viewport
+  _sampleScroll(timeStamp) {
+    const previous = this._scrollSample;
+    const scrollX = window.scrollX;
+    const scrollY = window.scrollY;
+    const elapsed = previous ? timeStamp - previous.time : 0;
+    const moving = elapsed > 0 && elapsed <= viewportGap;
+    this._scrollSample = {
+      time: timeStamp,
+      scrollX,
+      scrollY,
+      velocityX: moving ? (scrollX - previous.scrollX) / elapsed : 0,
+      velocityY: moving ? (scrollY - previous.scrollY) / elapsed : 0,
+    };
   }
 
-  _runListeners(events, origEvent) {
-    const callBacks = this._callbacks;
-    const lastRunTimes = this._lastRunTimeStamps;
+  _runListeners(events, origEvent, callBacks = this._callbacks, lastRunTimes = this._lastRunTimeStamps) {
     const allowMultiple = this._allowMultiple;
     requestAnimationFrame((timeStamp)=>{
+      //the viewport state is passed to the window's scroll, resize and docShift listeners
+      const withState = (callBacks === this._callbacks) && events.some((event) => viewportEvents.includes(event));
+      const state = withState ? this._viewport(timeStamp) : undefined;
 
       events.forEach(function(event){
 
-        for (let id in callBacks[event]) {
-          if (callBacks[event].hasOwnProperty(id)) {
-            let cb = callBacks[event][id];
-            if (typeof (cb) === 'function') {
-              // if the callback is about to be called within the same cycle (animationFrame),
-              // skip subsequent calls, except if event is allowed multiple callbacks
-              if (lastRunTimes[id] !== timeStamp || allowMultiple.includes(event)) {
-                //hnlLogger.warn(NAME,`Running callback '${id}' (${cb.name || 'anonymous'}) @ ${timeStamp} for '${event}'`);
-                lastRunTimes[id] = timeStamp;
-                cb.call(this, origEvent);
-              }
+        //copy, as listeners can be removed while running
+        for (const listener of [...callBacks[event]]) {
+          const {callback, id} = listener;
+          const runTimes = lastRunTimes.get(callback) || new Map();
+          lastRunTimes.set(callback, runTimes);
+          // if the callback is about to be called within the same cycle (animationFrame),
+          // skip subsequent calls, except if event is allowed multiple callbacks
+          if (runTimes.get(id) !== timeStamp || allowMultiple.includes(event)) {
+            runTimes.set(id, timeStamp);
+            if (listener.once) {
+              listener.unsubscribe();
             }
+            callback.call(this, origEvent, viewportEvents.includes(event) ? state : undefined);
           }
         }
       })
@@ -204,65 +448,240 @@ class eventHandler {
 
   //public
 
-  addListener(event, callback, id = null) {
+  /**
+   * The viewport's state, as passed to the scroll, resize and docShift listeners (as their second argument): the
+   * scroll position (scrollX, scrollY), the distance scrolled since the previous state (deltaX, deltaY), the direction
+   * ('directionX': 'left' or 'right', 'directionY': 'up' or 'down', or null), the scroll velocity in px/ms (velocityX,
+   * velocityY, measured between the last two scroll events, and 0 once scrolling has stopped for 100ms), the
+   * viewport's size (width, height), the document's height (documentHeight), how far the page is scrolled
+   * (percentage, 0-100), the current breakpoint (e.g. 'lg') and the frame's timestamp (time). It is frozen, and the
+   * same object for all listeners within a frame. Outside of listeners, it is read again once the last state is more
+   * than a frame old.
+   * @returns {object}
+   */
+  get viewport() {
+    const now = performance.now();
+    const state = this._viewportState;
+    return (state && now - state.time <= viewportFrame) ? state : this._viewport(now);
+  }
+
+  /**
+   * Registers a listener for an event.
+   * @param {string} event - The event, e.g. 'docShift'
+   * @param {function} callback - The listener
+   * @param {string|object} [options] - An id (see below), or options
+   * @param {string} [options.id] - Registers the same function more than once (for the same event), under another id
+   * @param {boolean} [options.once=false] - Remove the listener after its first call
+   * @param {AbortSignal} [options.signal] - Remove the listener when the signal aborts
+   * @param {Element} [options.target] - Listen for scroll or resize events ('startScroll', 'scroll', 'endScroll',
+   * 'startResize', 'resize' or 'endResize') of an element, e.g. a scroll container, instead of the window (see observe)
+   * @returns {function} - Removes the listener again
+   */
+  addListener(event, callback, options = null) {
+    const {id, once, signal, target} = listenerOptions(options);
     if (!this._callbacks[event]) {
       hnlLogger.warn(NAME, 'No such event! (' + event + ')');
-      return function(){};
-    } else {
-      if (this._singleExecution.includes(event) && this._states[event]) {
-        //if this is an event that is executed only once during the page's lifetime, and it has already passed, call the callback immediately
-        callback.call(this);
-      } else {
-        /* while the logic of argumentation is valid, this produces double calls with race conditions.
-        if it is absolutely necessary (probably the actual docshift event will still occur as needed at pageload),
-        this requires some rethinking.
-        if (event === 'docShift' && document.readyState !== 'loading') {
-          //same goes for layout shift events, though they still need to register
-          callback.call(this);
-        }*/
-        const thisID = this._hashCode(`${callback.toString()}${id}`);
-        if (typeof this._callbacks[event][thisID] === 'function') {
-          hnlLogger.warn(NAME,`Callback '${thisID}' (${callback.name || 'anonymous'}) already assigned to event '${event}', skipping...`);
-        } else {
-          this._callbacks[event][thisID] = callback;
-        }
+      return () => false;
+    }
+    if (target && !elementEvents.includes(event)) {
+      hnlLogger.warn(NAME, `Event '${event}' can't be listened for on elements.`);
+      return () => false;
+    }
+    if (signal?.aborted) {
+      return () => false;
+    }
+    if (this._singleExecution.includes(event) && this._states[event]) {
+      //if this is an event that is executed only once during the page's lifetime, and it has already passed, call the callback immediately
+      callback.call(this, this._lastDetails[event]);
+      return () => false;
+    }
+    if (this._sticky.includes(event) && event in this._lastDetails) {
+      //sticky events have happened already, so catch up
+      callback.call(this, this._lastDetails[event]);
+      if (once) {
+        //that was its one call
+        return () => false;
+      }
+    }
+    /* while the logic of argumentation is valid, this produces double calls with race conditions.
+    if it is absolutely necessary (probably the actual docshift event will still occur as needed at pageload),
+    this requires some rethinking.
+    if (event === 'docShift' && document.readyState !== 'loading') {
+      //same goes for layout shift events, though they still need to register
+      callback.call(this);
+    }*/
+    const targeted = target ? this._target(target) : null;
+    const listeners = targeted ? targeted.callbacks[event] : this._callbacks[event];
+    const existing = this._findListener(listeners, callback, id);
+    if (existing) {
+      hnlLogger.warn(NAME,`Callback ${id === null ? '' : `'${id}' `}(${callback.name || 'anonymous'}) already assigned to event '${event}', skipping...`);
+      return existing.unsubscribe;
+    }
+    const listener = {callback, id, once};
+    listener.unsubscribe = () => {
+      signal?.removeEventListener('abort', listener.unsubscribe);
+      const removed = listeners.delete(listener);
+      //stop listening to the element once it has no listeners left
+      if (targeted?.unbind && Object.values(targeted.callbacks).every((set) => !set.size)) {
+        targeted.unbind();
       }
+      return removed;
+    };
+    signal?.addEventListener('abort', listener.unsubscribe, {once: true});
+    listeners.add(listener);
+    if (targeted && !targeted.unbind) {
+      this._bindTarget(target, targeted);
     }
-    return callback; //return the callback for immediate invocation after binding
+    return listener.unsubscribe;
   }
 
-  removeListener(event, callback) {
+  /**
+   * Removes a listener.
+   * @param {string} event - The event, e.g. 'docShift'
+   * @param {function} callback - The listener, as registered
+   * @param {string|object} [id] - The id it was registered with (if any), or the options holding it (and the target)
+   * @returns {boolean} - Whether the listener was found (and removed)
+   */
+  removeListener(event, callback, id = null) {
     if (!this._callbacks[event]) {
       hnlLogger.warn(NAME, 'No such event! (' + event + ')');
       return false;
-    } else {
-      const id = this._hashCode(callback.toString());
-      if (this._callbacks[event][id]) {
-        delete this._callbacks[event][id];
-      }
     }
+    const options = listenerOptions(id);
+    const listeners = options.target ? this._targets.get(options.target)?.callbacks[event] : this._callbacks[event];
+    const listener = listeners && this._findListener(listeners, callback, options.id);
+    return listener ? listener.unsubscribe() : false;
+  }
+
+  /**
+   * Provides the scroll and resize events for an element (e.g. a scroll container), with the same start, while and
+   * end lifecycle as those of the window. All listeners of an element share a single scroll listener (and resize
+   * observation), which is removed again when its last listener is.
+   *
+   * Example:
+   * const scroller = eventHandler.observe(document.querySelector('.slider'));
+   * scroller.addListener('endScroll', (e) => console.log('Scrolled for', e.TimeTaken, 'ms'));
+   *
+   * @param {Element} element - The element
+   * @returns {{addListener: function, removeListener: function, unobserve: function}} - addListener and removeListener
+   * for the element (see those, 'target' is set already), and unobserve, which removes all of the element's listeners
+   */
+  observe(element) {
+    if (!(element instanceof Element)) {
+      throw new TypeError('Not a valid node');
+    }
+    return {
+      addListener: (event, callback, options = null) => this.addListener(event, callback, {...listenerOptions(options), target: element}),
+      removeListener: (event, callback, id = null) => this.removeListener(event, callback, {...listenerOptions(id), target: element}),
+      unobserve: () => {
+        const target = this._targets.get(element);
+        if (!target) return;
+        Object.values(target.callbacks).forEach((listeners) => [...listeners].forEach((listener) => listener.unsubscribe()));
+        this._targets.delete(element);
+      },
+    };
+  }
+
+  /**
+   * Registers an event, so modules can publish it (see emit), and listen for it. Registering an event that exists
+   * already does nothing (the options of the first registration apply).
+   * @param {string} event - The event's name, e.g. 'sliderChange'
+   * @param {object} [options]
+   * @param {boolean} [options.sticky=false] - Call listeners that are added after the event was emitted right away,
+   * with the last emitted detail
+   * @param {boolean} [options.allowMultiple=false] - Run listeners again when the event is emitted more than once in the
+   * same cycle (animationFrame), instead of only once
+   * @param {boolean} [options.singleExecution=false] - The event happens only once during the page's lifetime (like
+   * 'docReady'): it can only be emitted once, and listeners added after that are called right away
+   * @returns {boolean} - Whether the event was registered (false if it existed already)
+   */
+  registerEvent(event, {sticky = false, allowMultiple = false, singleExecution = false} = {}) {
+    if (this._callbacks[event]) {
+      return false;
+    }
+    this._callbacks[event] = new Set();
+    this._customEvents.add(event);
+    if (sticky) this._sticky.push(event);
+    if (allowMultiple) this._allowMultiple.push(event);
+    if (singleExecution) this._singleExecution.push(event);
+    hnlLogger.info(NAME, `Event '${event}' registered.`);
+    return true;
+  }
+
+  /**
+   * Emits a registered event (see registerEvent), and calls its listeners with the detail, in the next cycle
+   * (animationFrame). Like the built-in events, a listener is called only once per cycle, unless the event allows
+   * multiple calls.
+   * @param {string} event - The event's name
+   * @param {*} [detail] - Passed to the listeners
+   * @returns {boolean} - Whether the event was emitted
+   */
+  emit(event, detail) {
+    if (!this._customEvents.has(event)) {
+      hnlLogger.warn(NAME, this._callbacks[event] ? `Built-in events can't be emitted (${event})` : 'No such event! (' + event + ')');
+      return false;
+    }
+    if (this._singleExecution.includes(event) && this._emitted.has(event)) {
+      hnlLogger.warn(NAME, `Event '${event}' can only be emitted once, skipping...`);
+      return false;
+    }
+    this._emitted.add(event);
+    this._dispatch(event, detail);
+    return true;
   }
 
   //shorthands
-  docLoaded(callback, id = null) {
-    return this.addListener('docLoaded', callback, id);
+  docLoaded(callback, options = null) {
+    return this.addListener('docLoaded', callback, options);
   }
 
   //shorthand
-  docReady(callback, id = null) {
-    return this.addListener('docReady', callback, id);
+  docReady(callback, options = null) {
+    return this.addListener('docReady', callback, options);
+  }
+
+  docShift(callback, options = null) {
+    return this.addListener('docShift', callback, options);
+  }
+
+  breakPointChange(callback, options = null) {
+    return this.addListener('breakPointChange', callback, options);
+  }
+
+  imgsLoaded(callback, options = null) {
+    return this.addListener('imgsLoaded', callback, options);
+  }
+
+  idle(callback, options = null) {
+    return this.addListener('idle', callback, options);
+  }
+
+  online(callback, options = null) {
+    return this.addListener('online', callback, options);
+  }
+
+  offline(callback, options = null) {
+    return this.addListener('offline', callback, options);
+  }
+
+  colorSchemeChange(callback, options = null) {
+    return this.addListener('colorSchemeChange', callback, options);
+  }
+
+  reducedMotionChange(callback, options = null) {
+    return this.addListener('reducedMotionChange', callback, options);
   }
 
-  docShift(callback, id = null) {
-    return this.addListener('docShift', callback, id);
+  orientationChange(callback, options = null) {
+    return this.addListener('orientationChange', callback, options);
   }
 
-  breakPointChange(callback, id = null) {
-    return this.addListener('breakPointChange', callback, id);
+  fontsLoaded(callback, options = null) {
+    return this.addListener('fontsLoaded', callback, options);
   }
 
-  imgsLoaded(callback, id = null) {
-    return this.addListener('imgsLoaded', callback, id);
+  pageRestore(callback, options = null) {
+    return this.addListener('pageRestore', callback, options);
   }
 }
 
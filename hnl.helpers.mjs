@@ -115,6 +115,60 @@ export function waitForComplexNode(getNode, callback, timeout = 30000, interval
   })();
 }
 
+/** shadowRootsWithin - 2026
+ *
+ * Collects all open shadow roots inside a root node (and the root's own, for an element), including the shadow roots
+ * nested inside those. Declarative
+ * shadow DOM ('<template shadowrootmode="open">') that wasn't attached by the HTML parser (e.g. because it was
+ * inserted using innerHTML) is attached first, if its host doesn't have a shadow root yet.
+ *
+ * @param {Document|Element|DocumentFragment} root - The node to search.
+ * @returns {ShadowRoot[]} The open shadow roots, in document order (outer roots before the roots inside them).
+ *
+ * @example
+ * shadowRootsWithin(document).forEach((shadowRoot) => observer.observe(shadowRoot, {childList: true}));
+ */
+export function shadowRootsWithin(root) {
+  const shadowRoots = [];
+  root.querySelectorAll('template[shadowrootmode="open"]').forEach((template) => {
+    const host = template.parentElement;
+    if (host && !host.shadowRoot) {
+      try {
+        host.attachShadow({mode: 'open', delegatesFocus: template.hasAttribute('shadowrootdelegatesfocus')})
+          .appendChild(template.content);
+        template.remove();
+      } catch (e) {
+        //elements like <a> or <input> can't host a shadow root, leave the template as it is
+      }
+    }
+  });
+  const elements = root.querySelectorAll('*');
+  ((root.nodeType === Node.ELEMENT_NODE) ? [root, ...elements] : elements).forEach((element) => {
+    if (element.shadowRoot) {
+      shadowRoots.push(element.shadowRoot, ...shadowRootsWithin(element.shadowRoot));
+    }
+  });
+  return shadowRoots;
+}
+
+/** querySelectorAllDeep - 2026
+ *
+ * Like querySelectorAll, but also finds matching elements inside (nested) open shadow roots. Unlike querySelectorAll,
+ * the root itself is included if it is an element that matches the selector.
+ *
+ * @param {Document|Element|DocumentFragment} root - The node to search.
+ * @param {string} selector - The selector to match, matched within each shadow root separately.
+ * @returns {Element[]} The matching elements.
+ *
+ * @example
+ * querySelectorAllDeep(document, '[data-requires]');
+ */
+export function querySelectorAllDeep(root, selector) {
+  const elements = (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) ? [root] : [];
+  [root, ...shadowRootsWithin(root)].forEach((node) => elements.push(...node.querySelectorAll(selector)));
+  return elements;
+}
+
 /** isVisibleNow - isVisible V2 - 2024
  *
  * Determines whether an element is visible within the viewport. Executes the callback based
@@ -515,6 +569,14 @@ export class FpsCounter {
   start() {
     this.requestId = requestAnimationFrame(this.fpsTimer);
   }
+
+  /**
+   * Stops the FPS counter by cancelling the pending animation frame.
+   */
+  stop() {
+    cancelAnimationFrame(this.requestId);
+    this.requestId = null;
+  }
 }
 
 
@@ -0,0 +1,146 @@
+/**
+ * Module options v1.0 (10-2026)
+ * (C) hnldesign 2026
+ *
+ * Reads per-element options for dynamically imported modules, and validates them against the module's (optional)
+ * exported options schema. Used by the hnl.dynamicimports module, which passes the result to the module's init.
+ *
+ * Options are read from (in order, later sources override earlier ones):
+ * - the schema's defaults
+ * - a 'data-requires-options' JSON attribute. If it holds an object keyed by the module's NAME, only that part is
+ *   used, so one element can hold options for several modules.
+ * - namespaced data attributes, prefixed with the module's NAME (in kebab-case): for a module named 'scrollSpy',
+ *   'data-scroll-spy-menu-target' becomes option 'menuTarget'.
+ *
+ * Schema example (exported by the module):
+ * export const OPTIONS = {
+ *   menuTarget: { type: 'string', required: true },
+ *   offset:     { type: 'number', default: 0 },
+ *   smooth:     { type: 'boolean', default: false },
+ *   classes:    { type: 'array', default: [] },
+ * }
+ *
+ * Supported types: 'string', 'number', 'boolean', 'object' and 'array'. Values that don't fit their type are
+ * logged, and replaced by their default. Without a schema, all options are passed as-is.
+ */
+import {hnlLogger} from "./hnl.logger.mjs";
+
+export const NAME = 'moduleOptions';
+
+/**
+ * Converts a value to the type specified in the schema. Data attributes are always strings, so those are parsed.
+ * @param {*} value - The value to convert
+ * @param {string} type - The type to convert to
+ * @returns {*} - The converted value, or undefined if it can't be converted
+ */
+function coerce(value, type) {
+  switch (type) {
+    case 'string':
+      return (typeof value === 'string') ? value : undefined;
+    case 'number': {
+      const number = (typeof value === 'string' && value.trim()) ? Number(value) : value;
+      return (typeof number === 'number' && !isNaN(number)) ? number : undefined;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      //a data attribute without a value (e.g. data-my-module-smooth) counts as true
+      return (value === '' || value === 'true') ? true : (value === 'false' ? false : undefined);
+    case 'object':
+    case 'array': {
+      let parsed = value;
+      if (typeof value === 'string') {
+        try {
+          parsed = JSON.parse(value);
+        } catch (e) {
+          return undefined;
+        }
+      }
+      if (type === 'array') return Array.isArray(parsed) ? parsed : undefined;
+      return (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : undefined;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Converts a camelCased module name to the kebab-cased data attribute prefix it is used in, e.g. 'data-scroll-spy-'
+ * @param {string} name - The module name
+ * @returns {string}
+ */
+function attributePrefix(name) {
+  return `data-${name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}-`;
+}
+
+/**
+ * Reads the raw (unvalidated) options for a module from an element.
+ * Namespaced attributes (and namespaced JSON) are only available for modules that export a NAME.
+ * @param {Element} element - The requiring element
+ * @param {string} [name] - The module's exported NAME
+ * @returns {object}
+ */
+function readOptions(element, name) {
+  let options = {};
+  const json = element.dataset.requiresOptions;
+  if (json) {
+    try {
+      const parsed = JSON.parse(json);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new TypeError('not an object');
+      }
+      options = (name && parsed[name] && typeof parsed[name] === 'object') ? { ...parsed[name] } : { ...parsed };
+    } catch (error) {
+      hnlLogger.error(NAME, `Invalid JSON in data-requires-options: ${error.message}`);
+    }
+  }
+  if (!name) {
+    return options;
+  }
+  const prefix = attributePrefix(name);
+  for (const attribute of element.attributes) {
+    if (attribute.name.startsWith(prefix) && attribute.name.length > prefix.length) {
+      const key = attribute.name.slice(prefix.length).replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase());
+      options[key] = attribute.value;
+    }
+  }
+  return options;
+}
+
+/**
+ * Gets the validated options for a module, for one element.
+ * @param {Element} element - The requiring element
+ * @param {object} module - The imported module, optionally exporting an OPTIONS schema
+ * @param {string} name - The module's name, for logging
+ * @returns {object} - The options
+ */
+export function moduleOptions(element, module, name) {
+  const raw = readOptions(element, module.NAME);
+  const schema = module.OPTIONS;
+  if (!schema || typeof schema !== 'object') {
+    return raw;
+  }
+  const options = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    const fallback = (typeof rule.default === 'object' && rule.default !== null) ? structuredClone(rule.default) : rule.default;
+    if (typeof raw[key] === 'undefined') {
+      if (rule.required) {
+        hnlLogger.error(name, `Required option '${key}' is missing.`);
+      }
+      options[key] = fallback;
+      continue;
+    }
+    const value = coerce(raw[key], rule.type);
+    if (typeof value === 'undefined') {
+      hnlLogger.warn(name, `Option '${key}' should be of type '${rule.type}', got '${raw[key]}'. Using default.`);
+      options[key] = fallback;
+    } else {
+      options[key] = value;
+    }
+  }
+  for (const key of Object.keys(raw)) {
+    if (!(key in schema)) {
+      hnlLogger.warn(name, `Unknown option '${key}' ignored.`);
+    }
+  }
+  return options;
+}